@@ -6,6 +6,8 @@ import dotenv from 'dotenv';
 import { connectDB } from './config/database.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
+import { requestContext } from './middleware/requestContext.js';
+import { startReminderScheduler } from './jobs/reminderScheduler.js';
 
 // Route imports
 import authRoutes from './routes/auth.js';
@@ -16,8 +18,21 @@ import productRoutes from './routes/products.js';
 import purchaseRoutes from './routes/purchases.js';
 import paymentRoutes from './routes/payments.js';
 import couponRoutes from './routes/coupons.js';
+import couponCampaignRoutes from './routes/couponCampaigns.js';
 import uploadRoutes from './routes/uploads.js';
 import analyticsRoutes from './routes/analytics.js';
+import reminderRoutes from './routes/reminders.js';
+import auditRoutes from './routes/audit.js';
+import trashRoutes from './routes/trash.js';
+import importRoutes from './routes/imports.js';
+import exportRoutes from './routes/exports.js';
+import creditNoteRoutes from './routes/creditNotes.js';
+import receiptRoutes from './routes/receipts.js';
+import payoutRoutes from './routes/payouts.js';
+import reconciliationRoutes from './routes/reconciliation.js';
+import settingsRoutes from './routes/settings.js';
+import taxRoutes from './routes/tax.js';
+import fxRoutes from './routes/fx.js';
 
 dotenv.config();
 
@@ -54,6 +69,9 @@ app.use('/api/v1/auth', authLimiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request ID, IP and acting user for audit logging
+app.use(requestContext);
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -68,8 +86,21 @@ app.use('/api/v1/products', productRoutes);
 app.use('/api/v1/purchases', purchaseRoutes);
 app.use('/api/v1/payments', paymentRoutes);
 app.use('/api/v1/coupons', couponRoutes);
+app.use('/api/v1/coupon-campaigns', couponCampaignRoutes);
 app.use('/api/v1/uploads', uploadRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
+app.use('/api/v1/reminders', reminderRoutes);
+app.use('/api/v1/audit', auditRoutes);
+app.use('/api/v1/trash', trashRoutes);
+app.use('/api/v1/imports', importRoutes);
+app.use('/api/v1/exports', exportRoutes);
+app.use('/api/v1/credit-notes', creditNoteRoutes);
+app.use('/api/v1/receipts', receiptRoutes);
+app.use('/api/v1/payouts', payoutRoutes);
+app.use('/api/v1/reconciliation', reconciliationRoutes);
+app.use('/api/v1/settings', settingsRoutes);
+app.use('/api/v1/tax', taxRoutes);
+app.use('/api/v1/fx', fxRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -80,4 +111,7 @@ app.listen(PORT, () => {
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api/v1`);
   console.log(`📊 Premium Hub API v1.0.0`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Background jobs
+  startReminderScheduler();
 });
@@ -0,0 +1,45 @@
+import { runReminderCycle } from '../services/reminderService.js';
+import { getNotifier } from '../notifiers/index.js';
+
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000; // daily
+
+let timer = null;
+let running = false;
+
+const runOnce = async () => {
+  // Skip overlapping runs if a previous cycle is still sending
+  if (running) return;
+  running = true;
+
+  try {
+    const summary = await runReminderCycle(getNotifier());
+    console.log(`🔔 Reminder run: ${summary.queued} queued, ${summary.sent} sent, ${summary.failed} failed`);
+  } catch (error) {
+    console.error('❌ Reminder run failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process expiry reminder scheduler.
+ * Disabled with REMINDERS_ENABLED=false; interval set by REMINDER_INTERVAL_MS.
+ */
+export const startReminderScheduler = () => {
+  if (timer || process.env.REMINDERS_ENABLED === 'false') return;
+
+  const interval = parseInt(process.env.REMINDER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+  runOnce();
+  timer = setInterval(runOnce, interval);
+  timer.unref();
+
+  console.log(`⏰ Reminder scheduler started (every ${Math.round(interval / 60000)} min)`);
+};
+
+export const stopReminderScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { setContextUser } from '../utils/requestContext.js';
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -21,6 +22,7 @@ export const authenticate = async (req, res, next) => {
     }
 
     req.user = user;
+    setContextUser(user._id);
     next();
   } catch (error) {
     res.status(401).json({
@@ -0,0 +1,9 @@
+import crypto from 'crypto';
+import { runWithContext } from '../utils/requestContext.js';
+
+export const requestContext = (req, res, next) => {
+  req.id = req.header('X-Request-Id') || crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  runWithContext({ requestId: req.id, ip: req.ip }, next);
+};
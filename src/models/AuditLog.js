@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const AuditLogSchema = new Schema({
+  entity: { type: String, required: true }, // model name, e.g. Purchase
+  entityId: { type: Schema.Types.ObjectId, required: true },
+  action: { type: String, enum: ['CREATE', 'UPDATE', 'DELETE'], required: true },
+  changes: [{
+    _id: false,
+    path: { type: String, required: true },
+    before: { type: Schema.Types.Mixed },
+    after: { type: Schema.Types.Mixed }
+  }],
+  userId: { type: Schema.Types.ObjectId, ref: 'User' },
+  ip: { type: String, trim: true },
+  requestId: { type: String, trim: true }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Indexes
+AuditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ userId: 1, createdAt: -1 });
+AuditLogSchema.index({ requestId: 1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model('AuditLog', AuditLogSchema);
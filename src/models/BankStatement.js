@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// An uploaded bank/UPI statement; its lines live in StatementLine
+const BankStatementSchema = new Schema({
+  filename: { type: String, trim: true },
+  profileId: { type: Schema.Types.ObjectId, ref: 'StatementProfile', required: true },
+  periodStart: { type: Date },
+  periodEnd: { type: Date },
+  lineCount: { type: Number, default: 0 },
+  rowErrors: [{
+    row: { type: Number },
+    messages: [{ type: String }]
+  }],
+  uploadedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+// Indexes
+BankStatementSchema.index({ createdAt: -1 });
+
+export default mongoose.model('BankStatement', BankStatementSchema);
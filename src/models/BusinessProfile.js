@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+
+const { Schema } = mongoose;
+
+// Our own business details printed on invoices and receipts; a single document with _id 'default'
+const BusinessProfileSchema = new Schema({
+  _id: { type: String, default: 'default' },
+  name: { type: String, trim: true, default: 'Premium Hub' },
+  legalName: { type: String, trim: true },
+  address: {
+    line1: { type: String, trim: true },
+    line2: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, trim: true, default: 'India' }
+  },
+  gstin: { type: String, uppercase: true, trim: true },
+  stateCode: { type: String, trim: true }, // GST state code when there is no GSTIN yet
+  phone: { type: String, trim: true },
+  email: { type: String, lowercase: true, trim: true },
+  website: { type: String, trim: true },
+  // Stored in the database so PDFs can be rendered without fetching anything
+  logo: {
+    data: { type: Buffer, select: false },
+    contentType: { type: String, enum: ['image/png', 'image/jpeg'] }
+  },
+  invoicePrefix: { type: String, uppercase: true, trim: true, default: 'INV' },
+  invoiceFooter: { type: String, trim: true }, // terms or a thank-you line
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+BusinessProfileSchema.virtual('hasLogo').get(function() {
+  return Boolean(this.logo?.contentType);
+});
+
+// The logo is served on its own endpoint, never inside JSON
+BusinessProfileSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    if (ret.logo) delete ret.logo.data;
+    return ret;
+  }
+});
+
+// Record field-level changes in the audit log, without the logo bytes
+BusinessProfileSchema.plugin(auditPlugin, { ignoredPaths: ['logo.data'] });
+
+export default mongoose.model('BusinessProfile', BusinessProfileSchema);
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+import { softDeletePlugin } from './plugins/softDelete.js';
 
 const { Schema } = mongoose;
 
@@ -7,8 +9,11 @@ const ClientSchema = new Schema({
   phone: { type: String, trim: true },
   whatsapp: { type: String, trim: true },
   email: { type: String, lowercase: true, trim: true },
+  gstin: { type: String, uppercase: true, trim: true }, // registered business clients (B2B)
+  placeOfSupply: { type: String, trim: true }, // GST state code, e.g. '27'; defaults to the GSTIN state
   tags: [{ type: String, trim: true }],
-  notes: { type: String, trim: true }
+  notes: { type: String, trim: true },
+  walletBalancePaise: { type: Number, default: 0, min: 0 } // kept in step with WalletTransaction
 }, { timestamps: true });
 
 // Indexes
@@ -16,6 +21,7 @@ ClientSchema.index({ name: 1 });
 ClientSchema.index({ email: 1 });
 ClientSchema.index({ phone: 1 });
 ClientSchema.index({ tags: 1 });
+ClientSchema.index({ gstin: 1 });
 
 // Text search index
 ClientSchema.index({ 
@@ -25,4 +31,8 @@ ClientSchema.index({
   notes: 'text'
 });
 
+// Hide deleted records by default, then record field-level changes in the audit log
+ClientSchema.plugin(softDeletePlugin);
+ClientSchema.plugin(auditPlugin);
+
 export default mongoose.model('Client', ClientSchema);
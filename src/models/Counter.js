@@ -0,0 +1,11 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Named sequences, e.g. `order:WA:2025` -> last issued number, and per-client coupon use counts
+const CounterSchema = new Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0, min: 0 }
+}, { timestamps: true, versionKey: false });
+
+export default mongoose.model('Counter', CounterSchema);
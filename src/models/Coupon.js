@@ -1,16 +1,28 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+import { softDeletePlugin } from './plugins/softDelete.js';
 
 const { Schema } = mongoose;
 
 const CouponSchema = new Schema({
   code: { type: String, required: true, uppercase: true, trim: true },
   productId: { type: Schema.Types.ObjectId, ref: 'Product' },
+  categories: [{ type: String, trim: true }], // product categories; with productId the coupon applies to either
   discountType: { type: String, enum: ['PERCENT', 'FLAT'] },
   discountValuePaise: { type: Number, min: 0 },
+  minOrderPaise: { type: Number, min: 0 }, // order amount before any coupon
+  maxDiscountPaise: { type: Number, min: 0 }, // cap, mainly for PERCENT coupons
+  // EXCLUSIVE coupons are used alone; STACKABLE coupons combine with other STACKABLE ones
+  stacking: { type: String, enum: ['EXCLUSIVE', 'STACKABLE'], default: 'EXCLUSIVE' },
   maxUses: { type: Number, min: 1 },
   usedCount: { type: Number, default: 0, min: 0 },
   validFrom: { type: Date },
   validTo: { type: Date },
+  // Client rules, checked against the client's redemptions and purchases
+  maxUsesPerClient: { type: Number, min: 1 },
+  firstPurchaseOnly: { type: Boolean, default: false },
+  eligibleTags: [{ type: String, trim: true }], // client needs at least one of these tags
+  campaignId: { type: Schema.Types.ObjectId, ref: 'CouponCampaign' }, // set on generated codes
   isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
@@ -19,30 +31,49 @@ CouponSchema.index({ code: 1 }, { unique: true });
 CouponSchema.index({ productId: 1 });
 CouponSchema.index({ isActive: 1 });
 CouponSchema.index({ validFrom: 1, validTo: 1 });
+CouponSchema.index({ campaignId: 1 });
 
-// Check if coupon is valid
-CouponSchema.methods.isValid = function() {
+// Why the coupon cannot be used right now, as { code, message }, or null when it can
+CouponSchema.methods.invalidReason = function() {
   const now = new Date();
   
-  if (!this.isActive) return false;
-  if (this.maxUses && this.usedCount >= this.maxUses) return false;
-  if (this.validFrom && now < this.validFrom) return false;
-  if (this.validTo && now > this.validTo) return false;
+  if (!this.isActive) return { code: 'COUPON_INACTIVE', message: 'Coupon is inactive' };
+  if (this.maxUses && this.usedCount >= this.maxUses) {
+    return { code: 'COUPON_USED_UP', message: 'Coupon has reached its maximum uses' };
+  }
+  if (this.validFrom && now < this.validFrom) return { code: 'COUPON_NOT_STARTED', message: 'Coupon is not valid yet' };
+  if (this.validTo && now > this.validTo) return { code: 'COUPON_EXPIRED', message: 'Coupon has expired' };
   
-  return true;
+  return null;
+};
+
+// Check if coupon is valid
+CouponSchema.methods.isValid = function() {
+  return this.invalidReason() === null;
 };
 
-// Calculate discount amount
-CouponSchema.methods.calculateDiscount = function(amountPaise) {
+// Calculate discount amount; orderAmountPaise (default amountPaise) is checked against the minimum
+// order, so stacked coupons can discount what is left after the others
+CouponSchema.methods.calculateDiscount = function(amountPaise, orderAmountPaise = amountPaise) {
   if (!this.isValid()) return 0;
+  if (this.minOrderPaise && orderAmountPaise < this.minOrderPaise) return 0;
   
+  let discount = 0;
   if (this.discountType === 'PERCENT') {
-    return Math.floor((amountPaise * this.discountValuePaise) / 10000); // discountValue is in basis points
+    discount = Math.floor((amountPaise * this.discountValuePaise) / 10000); // discountValue is in basis points
   } else if (this.discountType === 'FLAT') {
-    return Math.min(this.discountValuePaise, amountPaise);
+    discount = this.discountValuePaise;
   }
   
-  return 0;
+  if (this.maxDiscountPaise !== undefined && this.maxDiscountPaise !== null) {
+    discount = Math.min(discount, this.maxDiscountPaise);
+  }
+  
+  return Math.min(discount, amountPaise);
 };
 
+// Hide deleted records by default, then record field-level changes in the audit log
+CouponSchema.plugin(softDeletePlugin);
+CouponSchema.plugin(auditPlugin);
+
 export default mongoose.model('Coupon', CouponSchema);
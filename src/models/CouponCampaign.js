@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+
+const { Schema } = mongoose;
+
+// A batch of generated single-use (or limited-use) coupon codes sharing one discount
+const CouponCampaignSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  prefix: { type: String, uppercase: true, trim: true, default: '' },
+  codeLength: { type: Number, required: true, min: 4 }, // random part, after the prefix
+  alphabet: { type: String, required: true },
+  count: { type: Number, required: true, min: 1 }, // codes requested
+  generatedCount: { type: Number, default: 0, min: 0 },
+  isActive: { type: Boolean, default: true },
+  deactivatedAt: { type: Date },
+  deactivatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+// Indexes
+CouponCampaignSchema.index({ createdAt: -1 });
+CouponCampaignSchema.index({ name: 1 });
+
+CouponCampaignSchema.plugin(auditPlugin);
+
+export default mongoose.model('CouponCampaign', CouponCampaignSchema);
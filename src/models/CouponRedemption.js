@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+
+const { Schema } = mongoose;
+
+// One use of a coupon on a purchase; reversed when the purchase is cancelled or trashed
+const CouponRedemptionSchema = new Schema({
+  couponId: { type: Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  code: { type: String, required: true, uppercase: true, trim: true },
+  purchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase', required: true },
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client', required: true },
+  orderAmountPaise: { type: Number, required: true, min: 0 }, // amount discounted, after earlier stacked coupons
+  discountPaise: { type: Number, required: true, min: 0 },
+  currency: { type: String, uppercase: true, default: 'INR' },
+  status: { type: String, enum: ['APPLIED', 'REVERSED'], default: 'APPLIED' },
+  reversedAt: { type: Date },
+  reversedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  reversalReason: { type: String, trim: true },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+// Indexes
+CouponRedemptionSchema.index({ couponId: 1, createdAt: -1 });
+CouponRedemptionSchema.index({ clientId: 1 });
+// A coupon is applied to a purchase at most once
+CouponRedemptionSchema.index(
+  { purchaseId: 1, couponId: 1 },
+  { unique: true, partialFilterExpression: { status: 'APPLIED' } }
+);
+
+CouponRedemptionSchema.plugin(auditPlugin);
+
+export default mongoose.model('CouponRedemption', CouponRedemptionSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const CredentialAccessLogSchema = new Schema({
+  purchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase', required: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: ['REVEAL', 'ROTATE'], required: true },
+  version: { type: Number, min: 0 }, // history index for revealed older versions
+  reason: { type: String, required: true, trim: true },
+  ip: { type: String, trim: true },
+  requestId: { type: String, trim: true }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Indexes
+CredentialAccessLogSchema.index({ purchaseId: 1, createdAt: -1 });
+CredentialAccessLogSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('CredentialAccessLog', CredentialAccessLogSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const CreditNoteSchema = new Schema({
+  number: { type: String, required: true, trim: true }, // e.g. CN-2025-00001
+  purchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase', required: true },
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client', required: true },
+  paymentId: { type: Schema.Types.ObjectId, ref: 'Payment' }, // the CLIENT_REFUND payment
+  amountPaise: { type: Number, required: true, min: 0 },
+  issuedOn: { type: Date, required: true },
+  reason: { type: String, trim: true },
+  status: { type: String, enum: ['ISSUED', 'VOID'], default: 'ISSUED' },
+  voidedAt: { type: Date },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+// Indexes
+CreditNoteSchema.index({ number: 1 }, { unique: true });
+CreditNoteSchema.index({ purchaseId: 1 });
+CreditNoteSchema.index({ clientId: 1, issuedOn: -1 });
+CreditNoteSchema.index({ paymentId: 1 });
+
+export default mongoose.model('CreditNote', CreditNoteSchema);
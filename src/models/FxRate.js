@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+
+const { Schema } = mongoose;
+
+// Daily exchange rates into INR, e.g. USD 83.25 means 1 USD = ₹83.25
+const FxRateSchema = new Schema({
+  currency: { type: String, required: true, uppercase: true, trim: true },
+  date: { type: Date, required: true }, // start of the day the rate applies from
+  rate: { type: Number, required: true, min: 0 },
+  source: { type: String, enum: ['MANUAL', 'IMPORT'], default: 'MANUAL' },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// Indexes
+FxRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+/**
+ * Latest rate for a currency on or before a date; INR is always 1
+ * @param {string} currency - ISO currency code
+ * @param {Date} date - Reference date
+ * @returns {number|null} INR per unit, or null when no rate is recorded
+ */
+FxRateSchema.statics.rateOn = async function(currency, date) {
+  if (!currency || currency === 'INR') return 1;
+
+  const entry = await this.findOne({ currency, date: { $lte: date } }).sort({ date: -1 }).select('rate');
+  return entry ? entry.rate : null;
+};
+
+// Record field-level changes in the audit log
+FxRateSchema.plugin(auditPlugin);
+
+export default mongoose.model('FxRate', FxRateSchema);
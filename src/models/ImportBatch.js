@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const ImportBatchSchema = new Schema({
+  kind: { type: String, enum: ['PURCHASES'], default: 'PURCHASES' },
+  filename: { type: String, trim: true },
+  // PENDING while rows are written; FAILED batches keep what was written so it can be rolled back
+  status: { 
+    type: String, 
+    enum: ['PENDING', 'COMMITTED', 'FAILED', 'ROLLED_BACK'], 
+    default: 'PENDING' 
+  },
+  totals: {
+    rows: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  // Records created while resolving rows, removed again on rollback
+  created: {
+    clientIds: [{ type: Schema.Types.ObjectId, ref: 'Client' }],
+    vendorIds: [{ type: Schema.Types.ObjectId, ref: 'Vendor' }],
+    productIds: [{ type: Schema.Types.ObjectId, ref: 'Product' }]
+  },
+  rowErrors: [{
+    _id: false,
+    row: { type: Number },
+    messages: [{ type: String }]
+  }],
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  rolledBackAt: { type: Date },
+  rolledBackBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// Indexes
+ImportBatchSchema.index({ createdAt: -1 });
+ImportBatchSchema.index({ status: 1 });
+
+export default mongoose.model('ImportBatch', ImportBatchSchema);
@@ -1,19 +1,33 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+import { softDeletePlugin } from './plugins/softDelete.js';
+import Purchase from './Purchase.js';
+import FxRate from './FxRate.js';
 
 const { Schema } = mongoose;
 
 const PaymentSchema = new Schema({
   purchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase', required: true },
-  type: { type: String, enum: ['CLIENT', 'VENDOR'], required: true },
-  amountPaise: { type: Number, required: true, min: 0 },
+  // CLIENT/VENDOR are money paid; refunds are money returned to a client or recovered from a vendor
+  type: { type: String, enum: ['CLIENT', 'VENDOR', 'CLIENT_REFUND', 'VENDOR_REFUND'], required: true },
+  amountPaise: { type: Number, required: true, min: 0 }, // minor units of `currency`
   paidOn: { type: Date, required: true },
   method: { 
     type: String, 
-    enum: ['UPI', 'CARD', 'BANK', 'CASH', 'OTHER'] 
+    enum: ['UPI', 'CARD', 'BANK', 'CASH', 'WALLET', 'OTHER'] // WALLET moves money to or from the client wallet
   },
   reference: { type: String, trim: true },
   screenshotUrl: { type: String, trim: true },
   notes: { type: String, trim: true },
+  creditNoteId: { type: Schema.Types.ObjectId, ref: 'CreditNote' }, // issued for client refunds
+  receiptId: { type: Schema.Types.ObjectId, ref: 'Receipt' }, // set when booked from a receipt allocation
+  payoutBatchId: { type: Schema.Types.ObjectId, ref: 'PayoutBatch' }, // set when paid in a vendor payout batch
+  statementLineId: { type: Schema.Types.ObjectId, ref: 'StatementLine' }, // bank/UPI line it was reconciled with
+  // Currency of the purchase side it settles and its INR value on the payment date
+  currency: { type: String, uppercase: true, default: 'INR' },
+  fxRate: { type: Number, default: 1, min: 0 },
+  amountInrPaise: { type: Number },
+  fxGainPaise: { type: Number, default: 0 }, // INR gain (or loss when negative) against the purchase's locked rate
   createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
 }, { timestamps: true });
 
@@ -22,5 +36,33 @@ PaymentSchema.index({ purchaseId: 1 });
 PaymentSchema.index({ paidOn: -1 });
 PaymentSchema.index({ type: 1 });
 PaymentSchema.index({ purchaseId: 1, type: 1 });
+PaymentSchema.index({ receiptId: 1 });
+PaymentSchema.index({ payoutBatchId: 1 });
+PaymentSchema.index({ statementLineId: 1 });
+
+// Each payment type moves money in (+1) or out (-1)
+const FX_DIRECTION = { CLIENT: 1, VENDOR_REFUND: 1, VENDOR: -1, CLIENT_REFUND: -1 };
+
+// Value the payment in INR at the rate on its payment date; the difference from the
+// purchase's locked rate is booked as FX gain or loss
+PaymentSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified(['purchaseId', 'type', 'amountPaise', 'paidOn'])) return;
+
+  const purchase = await Purchase.findById(this.purchaseId).select('amounts fx');
+  if (!purchase) return;
+
+  const clientSide = ['CLIENT', 'CLIENT_REFUND'].includes(this.type);
+  const lockedRate = (clientSide ? purchase.fx?.clientRate : purchase.fx?.vendorRate) ?? 1;
+  this.currency = (clientSide ? purchase.amounts.currency : purchase.amounts.vendorCurrency) || 'INR';
+
+  // Without a rate for the payment date the locked rate applies and there is no gain
+  this.fxRate = (await FxRate.rateOn(this.currency, this.paidOn)) ?? lockedRate;
+  this.amountInrPaise = Math.round(this.amountPaise * this.fxRate);
+  this.fxGainPaise = FX_DIRECTION[this.type] * (this.amountInrPaise - Math.round(this.amountPaise * lockedRate));
+});
+
+// Hide deleted records by default, then record field-level changes in the audit log
+PaymentSchema.plugin(softDeletePlugin);
+PaymentSchema.plugin(auditPlugin);
 
 export default mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+
+const { Schema } = mongoose;
+
+const PayoutLineSchema = new Schema({
+  purchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase', required: true },
+  orderId: { type: String, required: true },
+  purchaseDate: { type: Date },
+  duePaise: { type: Number, required: true, min: 0 }, // vendor due when the line was gathered
+  amountPaise: { type: Number, required: true, min: 1 }, // amount to pay, adjustable while DRAFT
+  paymentId: { type: Schema.Types.ObjectId, ref: 'Payment' } // VENDOR payment created on confirmation
+}, { _id: false });
+
+// A set of vendor payments made together, e.g. the weekly payout to one vendor
+const PayoutBatchSchema = new Schema({
+  number: { type: String, required: true, trim: true }, // e.g. PO-2025-00001
+  vendorId: { type: Schema.Types.ObjectId, ref: 'Vendor', required: true },
+  currency: { type: String, uppercase: true, default: 'INR' }, // every line is in the vendor currency
+  from: { type: Date },
+  to: { type: Date },
+  status: { type: String, enum: ['DRAFT', 'CONFIRMED', 'CANCELLED'], default: 'DRAFT' },
+  lines: [PayoutLineSchema],
+  totalPaise: { type: Number, default: 0, min: 0 },
+  paidOn: { type: Date },
+  method: {
+    type: String,
+    enum: ['UPI', 'CARD', 'BANK', 'CASH', 'OTHER']
+  },
+  reference: { type: String, trim: true }, // shared by every payment in the batch
+  notes: { type: String, trim: true },
+  confirmedAt: { type: Date },
+  confirmedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+// Indexes
+PayoutBatchSchema.index({ number: 1 }, { unique: true });
+PayoutBatchSchema.index({ vendorId: 1, createdAt: -1 });
+PayoutBatchSchema.index({ status: 1 });
+PayoutBatchSchema.index({ 'lines.purchaseId': 1 });
+
+PayoutBatchSchema.pre('save', function(next) {
+  this.totalPaise = this.lines.reduce((sum, line) => sum + line.amountPaise, 0);
+  next();
+});
+
+// Record field-level changes in the audit log
+PayoutBatchSchema.plugin(auditPlugin);
+
+export default mongoose.model('PayoutBatch', PayoutBatchSchema);
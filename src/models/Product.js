@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+import { softDeletePlugin } from './plugins/softDelete.js';
 
 const { Schema } = mongoose;
 
@@ -15,6 +17,10 @@ const ProductSchema = new Schema({
     type: String,
     enum: ['LOGIN_CREDENTIALS', 'COUPON_CODE', 'EMAIL_INVITE']
   }],
+  tax: {
+    hsnSac: { type: String, trim: true }, // HSN for goods, SAC for services
+    gstRatePercent: { type: Number, enum: [0, 0.25, 3, 5, 12, 18, 28] } // unset: GST not computed
+  },
   notes: { type: String, trim: true }
 }, { timestamps: true });
 
@@ -32,4 +38,8 @@ ProductSchema.index({
   notes: 'text'
 });
 
+// Hide deleted records by default, then record field-level changes in the audit log
+ProductSchema.plugin(softDeletePlugin);
+ProductSchema.plugin(auditPlugin);
+
 export default mongoose.model('Product', ProductSchema);
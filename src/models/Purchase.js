@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+import { softDeletePlugin } from './plugins/softDelete.js';
 import { encrypt, decrypt } from '../utils/crypto.js';
 
 const { Schema } = mongoose;
@@ -18,6 +20,11 @@ const PurchaseSchema = new Schema({
   
   purchaseDate: { type: Date, required: true },
   
+  renewal: {
+    previousPurchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase' }, // purchase this one renews
+    rootPurchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase' } // first purchase in the chain
+  },
+  
   validity: {
     durationMonths: { type: Number, min: 1 },
     startDate: { type: Date },
@@ -38,7 +45,15 @@ const PurchaseSchema = new Schema({
     },
     credentials: {
       username: { type: String, trim: true },
-      passwordEncrypted: { type: String } // AES-256-GCM encrypted
+      passwordEncrypted: { type: String }, // v2:keyId:iv:tag:data, AES-256-GCM (see utils/crypto.js)
+      rotatedAt: { type: Date },
+      // Previous credentials, newest last, kept encrypted after each rotation
+      history: [{
+        username: { type: String, trim: true },
+        passwordEncrypted: { type: String },
+        rotatedAt: { type: Date, default: Date.now },
+        rotatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+      }]
     },
     couponCode: { type: String, trim: true },
     emailInvite: {
@@ -51,20 +66,94 @@ const PurchaseSchema = new Schema({
     }
   },
   
+  // Minor units of each side's currency: client total, discount and taxes in `currency`,
+  // vendor total in `vendorCurrency`, fees (our own costs) always in INR
   amounts: {
     clientPayTotalPaise: { type: Number, required: true, min: 0 },
     vendorPayTotalPaise: { type: Number, required: true, min: 0 },
     discountPaise: { type: Number, default: 0, min: 0 },
     taxesPaise: { type: Number, default: 0, min: 0 },
     feesPaise: { type: Number, default: 0, min: 0 },
-    currency: { type: String, default: 'INR' }
+    currency: { type: String, uppercase: true, default: 'INR' },
+    vendorCurrency: { type: String, uppercase: true, default: 'INR' }
+  },
+  
+  // Discount coupons redeemed when the purchase was created, in the order they were applied;
+  // their ledger entries are the redemptions
+  coupons: [{
+    _id: false,
+    couponId: { type: Schema.Types.ObjectId, ref: 'Coupon' },
+    code: { type: String, uppercase: true, trim: true },
+    discountPaise: { type: Number, min: 0 },
+    redemptionId: { type: Schema.Types.ObjectId, ref: 'CouponRedemption' }
+  }],
+  
+  // INR per unit of each currency, locked from the rate table at the purchase date
+  fx: {
+    clientRate: { type: Number, default: 1, min: 0 },
+    vendorRate: { type: Number, default: 1, min: 0 },
+    lockedAt: { type: Date }
+  },
+  
+  // Amounts converted to INR at the locked rates on every save; analytics report from
+  // these and fall back to `amounts` for purchases saved before currencies existed
+  amountsInr: {
+    clientPayTotalPaise: { type: Number },
+    vendorPayTotalPaise: { type: Number },
+    discountPaise: { type: Number },
+    taxesPaise: { type: Number },
+    feesPaise: { type: Number }
   },
   
   settlement: {
-    clientPaidPaise: { type: Number, default: 0, min: 0 },
-    vendorPaidPaise: { type: Number, default: 0, min: 0 },
+    clientPaidPaise: { type: Number, default: 0 }, // net of client refunds; negative if a payment is removed after its refund
+    vendorPaidPaise: { type: Number, default: 0 }, // net of vendor refunds; negative if a payment is removed after its refund
+    clientRefundedPaise: { type: Number, default: 0, min: 0 },
+    vendorRefundedPaise: { type: Number, default: 0, min: 0 },
     clientDuePaise: { type: Number, default: 0 },
-    vendorDuePaise: { type: Number, default: 0 }
+    vendorDuePaise: { type: Number, default: 0 },
+    fxGainPaise: { type: Number, default: 0 } // INR, payments settled at other rates than locked (negative is a loss)
+  },
+  
+  // Output GST computed from the product rate; amounts.clientPayTotalPaise is tax inclusive
+  gst: {
+    hsnSac: { type: String, trim: true },
+    ratePercent: { type: Number, min: 0 },
+    supplierStateCode: { type: String, trim: true },
+    placeOfSupply: { type: String, trim: true },
+    supplyType: { type: String, enum: ['INTRA', 'INTER'] }, // CGST+SGST or IGST
+    clientGstin: { type: String, trim: true }, // set for B2B supplies
+    taxablePaise: { type: Number, min: 0 },
+    cgstPaise: { type: Number, default: 0, min: 0 },
+    sgstPaise: { type: Number, default: 0, min: 0 },
+    igstPaise: { type: Number, default: 0, min: 0 }
+  },
+  
+  // Vendor's invoice for the input tax credit report; amounts.vendorPayTotalPaise is tax inclusive
+  vendorInvoice: {
+    number: { type: String, trim: true },
+    date: { type: Date },
+    gstin: { type: String, trim: true },
+    ratePercent: { type: Number, min: 0 },
+    taxablePaise: { type: Number, min: 0 },
+    cgstPaise: { type: Number, default: 0, min: 0 },
+    sgstPaise: { type: Number, default: 0, min: 0 },
+    igstPaise: { type: Number, default: 0, min: 0 }
+  },
+  
+  // Optional installment plan; amounts add up to clientPayTotalPaise and client payments
+  // are allocated to the earliest installment first
+  paymentSchedule: [{
+    dueDate: { type: Date, required: true },
+    amountPaise: { type: Number, required: true, min: 1 },
+    paidPaise: { type: Number, default: 0, min: 0 },
+    paidAt: { type: Date } // when the installment became fully paid
+  }],
+  
+  // Assigned the first time an invoice is generated and never changed afterwards
+  invoice: {
+    number: { type: String, trim: true },
+    issuedAt: { type: Date }
   },
   
   files: {
@@ -79,10 +168,20 @@ const PurchaseSchema = new Schema({
   
   status: { 
     type: String, 
-    enum: ['OPEN', 'COMPLETED', 'CANCELLED'], 
+    enum: ['OPEN', 'ACTIVATED', 'COMPLETED', 'CANCELLED', 'REFUND_REQUESTED', 'REFUNDED'], 
     default: 'OPEN' 
   },
   
+  statusHistory: [{
+    from: { type: String },
+    to: { type: String, required: true },
+    reason: { type: String, trim: true, required: true },
+    changedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  
+  importBatchId: { type: Schema.Types.ObjectId, ref: 'ImportBatch' }, // set for CSV imports
+  
   createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
 }, { timestamps: true });
@@ -96,12 +195,36 @@ PurchaseSchema.index({ productId: 1 });
 PurchaseSchema.index({ status: 1 });
 PurchaseSchema.index({ 'validity.endDate': 1 });
 PurchaseSchema.index({ 'warranty.endDate': 1 });
+// A purchase is renewed at most once; the unique index settles concurrent renewals.
+// Trashed renewals (deletedAt set) are left out so the purchase can be renewed again.
+PurchaseSchema.index(
+  { 'renewal.previousPurchaseId': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'renewal.previousPurchaseId': { $type: 'objectId' }, deletedAt: { $type: 'null' } }
+  }
+);
+PurchaseSchema.index({ 'renewal.rootPurchaseId': 1 });
+PurchaseSchema.index({ importBatchId: 1 });
+PurchaseSchema.index({ 'paymentSchedule.dueDate': 1 });
+PurchaseSchema.index({ 'invoice.number': 1 }, { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } });
 
 // Compound indexes for common queries
 PurchaseSchema.index({ purchaseDate: -1, status: 1 });
 PurchaseSchema.index({ clientId: 1, purchaseDate: -1 });
 PurchaseSchema.index({ vendorId: 1, purchaseDate: -1 });
 
+// An installment plan must cover exactly what the client owes
+PurchaseSchema.pre('validate', function(next) {
+  if (this.paymentSchedule.length > 0) {
+    const scheduledPaise = this.paymentSchedule.reduce((sum, installment) => sum + installment.amountPaise, 0);
+    if (scheduledPaise !== this.amounts.clientPayTotalPaise) {
+      this.invalidate('paymentSchedule', `Installments add up to ${scheduledPaise} paise but the client total is ${this.amounts.clientPayTotalPaise} paise`);
+    }
+  }
+  next();
+});
+
 // Pre-save middleware to compute derived fields
 PurchaseSchema.pre('save', function(next) {
   // Compute validity end date
@@ -123,12 +246,29 @@ PurchaseSchema.pre('save', function(next) {
   this.settlement.clientDuePaise = this.amounts.clientPayTotalPaise - this.settlement.clientPaidPaise;
   this.settlement.vendorDuePaise = this.amounts.vendorPayTotalPaise - this.settlement.vendorPaidPaise;
   
+  // Convert amounts to INR at the locked rates
+  const clientRate = this.fx?.clientRate ?? 1;
+  this.amountsInr = {
+    clientPayTotalPaise: Math.round(this.amounts.clientPayTotalPaise * clientRate),
+    vendorPayTotalPaise: Math.round(this.amounts.vendorPayTotalPaise * (this.fx?.vendorRate ?? 1)),
+    discountPaise: Math.round((this.amounts.discountPaise || 0) * clientRate),
+    taxesPaise: Math.round((this.amounts.taxesPaise || 0) * clientRate),
+    feesPaise: this.amounts.feesPaise || 0
+  };
+  
   next();
 });
 
-// Virtual for profit calculation
+// Virtual for profit calculation, in INR
 PurchaseSchema.virtual('profitPaise').get(function() {
-  return this.amounts.clientPayTotalPaise - this.amounts.vendorPayTotalPaise - (this.amounts.feesPaise || 0);
+  const client = this.amountsInr?.clientPayTotalPaise ?? this.amounts.clientPayTotalPaise;
+  const vendor = this.amountsInr?.vendorPayTotalPaise ?? this.amounts.vendorPayTotalPaise;
+  return client - vendor - (this.amounts.feesPaise || 0);
+});
+
+// Virtual flag for renewal purchases
+PurchaseSchema.virtual('isRenewal').get(function() {
+  return Boolean(this.renewal?.previousPurchaseId);
 });
 
 // Method to encrypt password
@@ -156,7 +296,22 @@ PurchaseSchema.methods.isExpiringSoon = function(days = 30) {
   return daysUntilExpiry <= days && daysUntilExpiry > 0;
 };
 
-// Ensure virtuals are included in JSON
-PurchaseSchema.set('toJSON', { virtuals: true });
+// Ensure virtuals are included in JSON, never the encrypted credentials
+PurchaseSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    const credentials = ret.activation?.credentials;
+    if (credentials) {
+      credentials.hasPassword = Boolean(credentials.passwordEncrypted);
+      delete credentials.passwordEncrypted;
+      credentials.history = (credentials.history || []).map(({ passwordEncrypted, ...entry }) => entry);
+    }
+    return ret;
+  }
+});
+
+// Hide deleted records by default, then record field-level changes in the audit log
+PurchaseSchema.plugin(softDeletePlugin);
+PurchaseSchema.plugin(auditPlugin);
 
 export default mongoose.model('Purchase', PurchaseSchema);
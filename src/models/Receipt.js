@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+import { softDeletePlugin } from './plugins/softDelete.js';
+
+const { Schema } = mongoose;
+
+const AllocationSchema = new Schema({
+  purchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase', required: true },
+  paymentId: { type: Schema.Types.ObjectId, ref: 'Payment', required: true }, // CLIENT payment booked for this line
+  amountPaise: { type: Number, required: true, min: 1 },
+  allocatedAt: { type: Date, default: Date.now },
+  allocatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+// Money received from a client in one transfer, split across one or more purchases
+const ReceiptSchema = new Schema({
+  number: { type: String, required: true, trim: true }, // e.g. RC-2025-00001
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client', required: true },
+  amountPaise: { type: Number, required: true, min: 1 },
+  receivedOn: { type: Date, required: true },
+  method: {
+    type: String,
+    enum: ['UPI', 'CARD', 'BANK', 'CASH', 'OTHER']
+  },
+  reference: { type: String, trim: true },
+  screenshotUrl: { type: String, trim: true },
+  notes: { type: String, trim: true },
+  allocations: [AllocationSchema],
+  allocatedPaise: { type: Number, default: 0, min: 0 },
+  unallocatedPaise: { type: Number, default: 0, min: 0 },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+// Indexes
+ReceiptSchema.index({ number: 1 }, { unique: true });
+ReceiptSchema.index({ clientId: 1, receivedOn: -1 });
+ReceiptSchema.index({ unallocatedPaise: 1 });
+ReceiptSchema.index({ 'allocations.purchaseId': 1 });
+
+// Keep allocated and unallocated totals in line with the allocation lines
+ReceiptSchema.pre('save', function(next) {
+  this.allocatedPaise = this.allocations.reduce((sum, line) => sum + line.amountPaise, 0);
+  this.unallocatedPaise = this.amountPaise - this.allocatedPaise;
+  next();
+});
+
+// Hide deleted records by default, then record field-level changes in the audit log
+ReceiptSchema.plugin(softDeletePlugin);
+ReceiptSchema.plugin(auditPlugin);
+
+export default mongoose.model('Receipt', ReceiptSchema);
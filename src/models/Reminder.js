@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const ReminderSchema = new Schema({
+  purchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase', required: true },
+  kind: { type: String, enum: ['VALIDITY', 'WARRANTY'], required: true },
+  offsetDays: { type: Number, required: true, min: 0 }, // days before expiry
+  expiresOn: { type: Date, required: true }, // validity/warranty end date at queue time
+  scheduledFor: { type: Date, required: true },
+  status: { 
+    type: String, 
+    enum: ['QUEUED', 'SENDING', 'SENT', 'FAILED'], 
+    default: 'QUEUED' 
+  },
+  channel: { type: String, trim: true }, // notifier name used to send
+  attempts: { type: Number, default: 0, min: 0 },
+  lastError: { type: String, trim: true },
+  sentAt: { type: Date }
+}, { timestamps: true });
+
+// Indexes
+// One reminder per purchase, kind, offset and expiry date - prevents duplicate sends
+ReminderSchema.index({ purchaseId: 1, kind: 1, offsetDays: 1, expiresOn: 1 }, { unique: true });
+ReminderSchema.index({ status: 1, scheduledFor: 1 });
+ReminderSchema.index({ purchaseId: 1, createdAt: -1 });
+
+export default mongoose.model('Reminder', ReminderSchema);
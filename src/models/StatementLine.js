@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const StatementLineSchema = new Schema({
+  statementId: { type: Schema.Types.ObjectId, ref: 'BankStatement', required: true },
+  row: { type: Number, required: true }, // row number in the uploaded file
+  date: { type: Date, required: true },
+  direction: { type: String, enum: ['CREDIT', 'DEBIT'], required: true },
+  amountPaise: { type: Number, required: true, min: 0 },
+  reference: { type: String, trim: true },
+  description: { type: String, trim: true },
+  // MATCHED: one good candidate awaiting confirmation; SUSPICIOUS: needs a closer look
+  status: {
+    type: String,
+    enum: ['MATCHED', 'SUSPICIOUS', 'UNMATCHED', 'CONFIRMED', 'IGNORED'],
+    default: 'UNMATCHED'
+  },
+  paymentId: { type: Schema.Types.ObjectId, ref: 'Payment' }, // suggested or confirmed payment
+  candidateIds: [{ type: Schema.Types.ObjectId, ref: 'Payment' }],
+  matchNotes: [{ type: String }],
+  resolvedAt: { type: Date },
+  resolvedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// Indexes
+StatementLineSchema.index({ statementId: 1, row: 1 });
+StatementLineSchema.index({ statementId: 1, status: 1 });
+StatementLineSchema.index({ paymentId: 1 });
+
+export default mongoose.model('StatementLine', StatementLineSchema);
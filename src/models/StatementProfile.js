@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// How to read one bank's or UPI app's statement export
+const StatementProfileSchema = new Schema({
+  name: { type: String, required: true, trim: true }, // e.g. "HDFC current account"
+  skipRows: { type: Number, default: 0, min: 0 }, // preamble lines before the header
+  dateFormat: {
+    type: String,
+    enum: ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'],
+    default: 'DD/MM/YYYY'
+  },
+  // Header names in the statement file
+  columns: {
+    date: { type: String, required: true, trim: true },
+    amount: { type: String, trim: true }, // signed amount, credits positive
+    credit: { type: String, trim: true }, // or separate credit/debit columns
+    debit: { type: String, trim: true },
+    reference: { type: String, trim: true },
+    description: { type: String, trim: true }
+  },
+  defaultMethod: {
+    type: String,
+    enum: ['UPI', 'CARD', 'BANK', 'CASH', 'OTHER'],
+    default: 'BANK'
+  },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+// Indexes
+StatementProfileSchema.index({ name: 1 }, { unique: true });
+
+export default mongoose.model('StatementProfile', StatementProfileSchema);
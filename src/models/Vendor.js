@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/audit.js';
+import { softDeletePlugin } from './plugins/softDelete.js';
 
 const { Schema } = mongoose;
 
@@ -8,6 +10,7 @@ const VendorSchema = new Schema({
   phone: { type: String, trim: true },
   whatsapp: { type: String, trim: true },
   email: { type: String, lowercase: true, trim: true },
+  gstin: { type: String, uppercase: true, trim: true }, // input tax credit is only claimed from registered vendors
   notes: { type: String, trim: true }
 }, { timestamps: true });
 
@@ -25,4 +28,8 @@ VendorSchema.index({
   notes: 'text'
 });
 
+// Hide deleted records by default, then record field-level changes in the audit log
+VendorSchema.plugin(softDeletePlugin);
+VendorSchema.plugin(auditPlugin);
+
 export default mongoose.model('Vendor', VendorSchema);
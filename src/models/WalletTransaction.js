@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One movement on a client's wallet; credits are positive, debits negative
+const WalletTransactionSchema = new Schema({
+  clientId: { type: Schema.Types.ObjectId, ref: 'Client', required: true },
+  type: {
+    type: String,
+    enum: ['ADVANCE', 'OVERPAYMENT', 'PAYMENT', 'REVERSAL', 'ADJUSTMENT'],
+    required: true
+  },
+  amountPaise: { type: Number, required: true },
+  balanceAfterPaise: { type: Number, required: true },
+  purchaseId: { type: Schema.Types.ObjectId, ref: 'Purchase' },
+  paymentId: { type: Schema.Types.ObjectId, ref: 'Payment' },
+  method: {
+    type: String,
+    enum: ['UPI', 'CARD', 'BANK', 'CASH', 'OTHER']
+  },
+  reference: { type: String, trim: true },
+  notes: { type: String, trim: true },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+// Indexes
+WalletTransactionSchema.index({ clientId: 1, createdAt: -1 });
+WalletTransactionSchema.index({ paymentId: 1 });
+
+export default mongoose.model('WalletTransaction', WalletTransactionSchema);
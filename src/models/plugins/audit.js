@@ -0,0 +1,154 @@
+import AuditLog from '../AuditLog.js';
+import { getContext } from '../../utils/requestContext.js';
+
+// Bookkeeping fields that are never worth recording
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Fields that must not be copied into the audit log, wherever they appear
+// (including inside arrays such as activation.credentials.history)
+const REDACTED_KEYS = ['passwordEncrypted'];
+
+// Normalize ObjectIds, Dates and subdocuments into plain JSON values
+const toPlain = (value) => (value == null ? {} : JSON.parse(JSON.stringify(value)));
+
+// Flatten nested objects into dot paths; arrays are compared as a whole
+const flatten = (value, prefix = '', out = {}) => {
+  Object.entries(value).forEach(([key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flatten(child, path, out);
+    } else {
+      out[path] = child;
+    }
+  });
+  return out;
+};
+
+const isRedactedPath = (path) => REDACTED_KEYS.includes(path.split('.').pop());
+
+// Replace redacted fields in a diffed value, recursing into arrays and objects
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+      key,
+      REDACTED_KEYS.includes(key) && child !== undefined && child !== null ? '[REDACTED]' : redact(child)
+    ]));
+  }
+  return value;
+};
+
+const redactValue = (path, value) => {
+  if (value === undefined) return undefined;
+  return isRedactedPath(path) ? '[REDACTED]' : redact(value);
+};
+
+/**
+ * Compute field-level changes between two versions of a document
+ * @param {Object} before - Previous version (null for creates)
+ * @param {Object} after - New version (null for deletes)
+ * @param {Array} ignoredPaths - Extra paths (and everything below them) to leave out
+ * @returns {Array} List of { path, before, after }
+ */
+export const diffDocuments = (before, after, ignoredPaths = []) => {
+  const previous = flatten(toPlain(before));
+  const next = flatten(toPlain(after));
+  const paths = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...paths]
+    .filter(path => !IGNORED_PATHS.includes(path))
+    .filter(path => !ignoredPaths.some(ignored => path === ignored || path.startsWith(`${ignored}.`)))
+    .filter(path => JSON.stringify(previous[path]) !== JSON.stringify(next[path]))
+    .sort()
+    .map(path => ({ path, before: redactValue(path, previous[path]), after: redactValue(path, next[path]) }));
+};
+
+const writeAuditLog = async (entity, action, before, after, ignoredPaths) => {
+  try {
+    const changes = diffDocuments(before, after, ignoredPaths);
+    if (action === 'UPDATE' && changes.length === 0) return;
+
+    const context = getContext() || {};
+
+    await AuditLog.create({
+      entity,
+      entityId: (after || before)._id,
+      action,
+      changes,
+      userId: context.userId,
+      ip: context.ip,
+      requestId: context.requestId
+    });
+  } catch (error) {
+    // Auditing must never break the write it describes
+    console.error('❌ Audit log error:', error.message);
+  }
+};
+
+/**
+ * Mongoose plugin that records create/update/delete diffs in the AuditLog collection.
+ * Covers document saves, single and multi document query updates/deletes and insertMany.
+ * Options: ignoredPaths - fields never worth diffing (e.g. binary data)
+ */
+export const auditPlugin = (schema, { ignoredPaths = [] } = {}) => {
+  const audit = (entity, action, before, after) => writeAuditLog(entity, action, before, after, ignoredPaths);
+
+  // Remember how a document looked when it was loaded
+  schema.post('init', function() {
+    this.$locals.auditOriginal = this.toObject({ depopulate: true });
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditIsNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function() {
+    const current = this.toObject({ depopulate: true });
+    const action = this.$locals.auditIsNew ? 'CREATE' : 'UPDATE';
+
+    await audit(this.constructor.modelName, action, this.$locals.auditOriginal || null, current);
+    this.$locals.auditOriginal = current;
+  });
+
+  schema.post('insertMany', async function(docs) {
+    await Promise.all(docs.map(doc => audit(this.modelName, 'CREATE', null, doc.toObject())));
+  });
+
+  // Query updates: snapshot matching documents before, re-read them after
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function() {
+    const query = this.model.find(this.getFilter()).lean();
+    if (this.op !== 'updateMany') query.limit(1);
+    this._auditBefore = await query;
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function() {
+    const before = this._auditBefore || [];
+    const ids = before.map(doc => doc._id);
+
+    // Upserts create a document that did not match before
+    if (before.length === 0 && this.getOptions().upsert) {
+      const created = await this.model.findOne(this.getFilter()).lean();
+      if (created) await audit(this.model.modelName, 'CREATE', null, created);
+      return;
+    }
+
+    const after = await this.model.find({ _id: { $in: ids } }).lean();
+    await Promise.all(after.map(doc => audit(
+      this.model.modelName,
+      'UPDATE',
+      before.find(previous => previous._id.equals(doc._id)),
+      doc
+    )));
+  });
+
+  schema.pre(['findOneAndDelete', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    const query = this.model.find(this.getFilter()).lean();
+    if (this.op !== 'deleteMany') query.limit(1);
+    this._auditBefore = await query;
+  });
+
+  schema.post(['findOneAndDelete', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    await Promise.all((this._auditBefore || []).map(doc => audit(this.model.modelName, 'DELETE', doc, null)));
+  });
+};
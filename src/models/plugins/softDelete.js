@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Query operations that hide soft-deleted documents by default
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+];
+
+// Queries that mention deletedAt themselves (e.g. the trash) are left untouched
+const mentionsDeletedAt = (filter = {}) => {
+  return Object.entries(filter).some(([key, value]) => {
+    if (key === 'deletedAt') return true;
+    if (['$and', '$or', '$nor'].includes(key) && Array.isArray(value)) {
+      return value.some(mentionsDeletedAt);
+    }
+    return false;
+  });
+};
+
+/**
+ * Mongoose plugin adding deletedAt/deletedBy and excluding deleted documents
+ * from queries and aggregations unless the filter asks about deletedAt.
+ */
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_QUERIES, { document: false, query: true }, function() {
+    if (!mentionsDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const [first] = this.pipeline();
+    if (!(first?.$match && mentionsDeletedAt(first.$match))) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // Mark a document as deleted
+  schema.methods.softDelete = function(userId, deletedAt = new Date()) {
+    this.deletedAt = deletedAt;
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  // Bring a soft-deleted document back
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+};
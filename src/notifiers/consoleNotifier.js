@@ -0,0 +1,12 @@
+import { formatReminderMessage } from './message.js';
+
+/**
+ * Notifier that prints reminders to the server log
+ */
+export const consoleNotifier = {
+  name: 'console',
+
+  async send(reminder, purchase) {
+    console.log(`🔔 ${formatReminderMessage(reminder, purchase)}`);
+  }
+};
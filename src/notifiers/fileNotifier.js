@@ -0,0 +1,29 @@
+import { appendFile } from 'fs/promises';
+import { formatReminderMessage } from './message.js';
+
+/**
+ * Notifier that appends reminders as JSON lines to REMINDER_LOG_FILE
+ */
+export const fileNotifier = {
+  name: 'file',
+
+  async send(reminder, purchase) {
+    const file = process.env.REMINDER_LOG_FILE || 'reminders.log';
+    const entry = {
+      at: new Date().toISOString(),
+      reminderId: reminder._id,
+      purchaseId: purchase._id,
+      orderId: purchase.orderId,
+      kind: reminder.kind,
+      offsetDays: reminder.offsetDays,
+      client: purchase.clientId && {
+        name: purchase.clientId.name,
+        phone: purchase.clientId.phone,
+        email: purchase.clientId.email
+      },
+      message: formatReminderMessage(reminder, purchase)
+    };
+
+    await appendFile(file, `${JSON.stringify(entry)}\n`);
+  }
+};
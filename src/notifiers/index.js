@@ -0,0 +1,33 @@
+import { consoleNotifier } from './consoleNotifier.js';
+import { fileNotifier } from './fileNotifier.js';
+import { httpError } from '../utils/httpError.js';
+
+// A notifier is any object with a `name` and an async `send(reminder, purchase)`
+const notifiers = {
+  [consoleNotifier.name]: consoleNotifier,
+  [fileNotifier.name]: fileNotifier
+};
+
+/**
+ * Register an additional notifier (e.g. WhatsApp, email)
+ * @param {Object} notifier - Object with name and send(reminder, purchase)
+ */
+export const registerNotifier = (notifier) => {
+  if (!notifier?.name || typeof notifier.send !== 'function') {
+    throw new Error('Notifier must have a name and a send function');
+  }
+  notifiers[notifier.name] = notifier;
+};
+
+/**
+ * Get a notifier by name, defaulting to REMINDER_NOTIFIER or console
+ * @param {string} name - Notifier name
+ * @returns {Object} Notifier
+ */
+export const getNotifier = (name = process.env.REMINDER_NOTIFIER || 'console') => {
+  const notifier = notifiers[name];
+  if (!notifier) {
+    throw httpError(400, 'UNKNOWN_NOTIFIER', `Unknown notifier: ${name}`);
+  }
+  return notifier;
+};
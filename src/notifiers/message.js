@@ -0,0 +1,14 @@
+/**
+ * Build the human readable text for an expiry reminder
+ * @param {Object} reminder - Reminder document
+ * @param {Object} purchase - Purchase with clientId and productId populated
+ * @returns {string} Reminder text
+ */
+export const formatReminderMessage = (reminder, purchase) => {
+  const what = reminder.kind === 'WARRANTY' ? 'warranty' : 'subscription';
+  const product = purchase.productId?.name || 'your product';
+  const client = purchase.clientId?.name || 'Client';
+  const date = reminder.expiresOn.toISOString().slice(0, 10);
+
+  return `${client}: ${product} ${what} (order ${purchase.orderId}) expires on ${date} - ${reminder.offsetDays} day(s) left`;
+};
@@ -1,14 +1,91 @@
 import express from 'express';
 import Purchase from '../models/Purchase.js';
 import Payment from '../models/Payment.js';
+import CouponCampaign from '../models/CouponCampaign.js';
 import { authenticate } from '../middleware/auth.js';
 import { AnalyticsQuerySchema, TopAnalyticsSchema, ExpiringQuerySchema } from '../validators/schemas.js';
+import { INACTIVE_STATUSES } from '../services/purchaseStatus.js';
+import { getOverdueInstallments } from '../services/scheduleService.js';
+import { inrAmount, inrAtRate, PAYMENT_INR } from '../services/fxService.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+// Amounts are reported in INR at each purchase's locked rates
+const clientTotalInr = inrAmount('clientPayTotalPaise');
+const vendorTotalInr = inrAmount('vendorPayTotalPaise');
+const feesInr = inrAmount('feesPaise');
+
+// Profit as in the summary: refunds given reduce revenue, refunds recovered reduce cost
+const netRevenueInr = { $subtract: [clientTotalInr, inrAtRate('$settlement.clientRefundedPaise', '$fx.clientRate')] };
+const profitInr = {
+  $subtract: [
+    netRevenueInr,
+    { $add: [{ $subtract: [vendorTotalInr, inrAtRate('$settlement.vendorRefundedPaise', '$fx.vendorRate')] }, feesInr] }
+  ]
+};
+
+/**
+ * Stages grouping coupon purchases (one document per redemption) by a key, with the share of
+ * clients who bought again after their first purchase with it
+ * @param {string} key - Group key, e.g. $coupons.couponId
+ * @returns {Array} Aggregation stages
+ */
+const couponPerformanceStages = (key) => [
+  { $match: { [key.slice(1)]: { $ne: null } } },
+  {
+    $group: {
+      _id: { key, clientId: '$clientId' },
+      code: { $first: '$coupons.code' },
+      redemptions: { $sum: 1 },
+      discountPaise: { $sum: inrAtRate('$coupons.discountPaise', '$fx.clientRate') },
+      revenuePaise: { $sum: netRevenueInr },
+      profitPaise: { $sum: profitInr },
+      firstUsedAt: { $min: '$purchaseDate' }
+    }
+  },
+  {
+    $lookup: {
+      from: 'purchases',
+      let: { clientId: '$_id.clientId', after: '$firstUsedAt' },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $and: [{ $eq: ['$clientId', '$$clientId'] }, { $gt: ['$purchaseDate', '$$after'] }] },
+            status: { $ne: 'CANCELLED' },
+            deletedAt: null
+          }
+        },
+        { $limit: 1 },
+        { $project: { _id: 1 } }
+      ],
+      as: 'laterPurchases'
+    }
+  },
+  {
+    $group: {
+      _id: '$_id.key',
+      code: { $first: '$code' },
+      redemptions: { $sum: '$redemptions' },
+      discountPaise: { $sum: '$discountPaise' },
+      revenuePaise: { $sum: '$revenuePaise' },
+      profitPaise: { $sum: '$profitPaise' },
+      clients: { $sum: 1 },
+      repeatClients: { $sum: { $cond: [{ $gt: [{ $size: '$laterPurchases' }, 0] }, 1, 0] } }
+    }
+  },
+  { $sort: { redemptions: -1 } }
+];
+
+const withRepeatRate = ({ clients, repeatClients, ...item }) => ({
+  ...item,
+  clients,
+  repeatClients,
+  repeatRatePercent: clients > 0 ? Math.round((repeatClients / clients) * 1000) / 10 : 0
+});
+
 // GET /api/v1/analytics/summary
 router.get('/summary', async (req, res, next) => {
   try {
@@ -21,6 +98,9 @@ router.get('/summary', async (req, res, next) => {
       if (to) dateFilter.purchaseDate.$lte = new Date(to);
     }
 
+    // Renewals link back to the purchase they renew
+    const isRenewal = { $gt: ['$renewal.previousPurchaseId', null] };
+
     // Get overall totals
     const [purchaseTotals, paymentTotals] = await Promise.all([
       Purchase.aggregate([
@@ -29,9 +109,11 @@ router.get('/summary', async (req, res, next) => {
           $group: {
             _id: null,
             totalPurchases: { $sum: 1 },
-            clientPaymentsPaise: { $sum: '$amounts.clientPayTotalPaise' },
-            vendorPaymentsPaise: { $sum: '$amounts.vendorPayTotalPaise' },
-            feesPaise: { $sum: { $ifNull: ['$amounts.feesPaise', 0] } }
+            clientPaymentsPaise: { $sum: clientTotalInr },
+            vendorPaymentsPaise: { $sum: vendorTotalInr },
+            feesPaise: { $sum: feesInr },
+            renewalPurchases: { $sum: { $cond: [isRenewal, 1, 0] } },
+            renewalRevenuePaise: { $sum: { $cond: [isRenewal, clientTotalInr, 0] } }
           }
         }
       ]),
@@ -51,7 +133,9 @@ router.get('/summary', async (req, res, next) => {
         {
           $group: {
             _id: '$type',
-            totalPaidPaise: { $sum: '$amountPaise' }
+            totalPaidPaise: { $sum: PAYMENT_INR },
+            walletPaidPaise: { $sum: { $cond: [{ $eq: ['$method', 'WALLET'] }, PAYMENT_INR, 0] } },
+            fxGainPaise: { $sum: { $ifNull: ['$fxGainPaise', 0] } }
           }
         }
       ])
@@ -61,14 +145,25 @@ router.get('/summary', async (req, res, next) => {
       totalPurchases: 0,
       clientPaymentsPaise: 0,
       vendorPaymentsPaise: 0,
-      feesPaise: 0
+      feesPaise: 0,
+      renewalPurchases: 0,
+      renewalRevenuePaise: 0
     };
 
-    const clientPayments = paymentTotals.find(p => p._id === 'CLIENT')?.totalPaidPaise || 0;
-    const vendorPayments = paymentTotals.find(p => p._id === 'VENDOR')?.totalPaidPaise || 0;
+    const totalsOfType = (type) => paymentTotals.find(p => p._id === type) || { totalPaidPaise: 0, walletPaidPaise: 0 };
+    const paidOfType = (type) => totalsOfType(type).totalPaidPaise;
+    // Overpayments moved to the wallet stay with the business and are not refunds of revenue
+    const clientRefunds = paidOfType('CLIENT_REFUND') - totalsOfType('CLIENT_REFUND').walletPaidPaise;
+    const vendorRefunds = paidOfType('VENDOR_REFUND');
+    // Realized figures follow the cash: wallet credits offset the wallet payments they fund
+    const clientPayments = paidOfType('CLIENT') - paidOfType('CLIENT_REFUND');
+    const vendorPayments = paidOfType('VENDOR') - vendorRefunds;
+    // Gain (or loss) from payments made at a different rate than the purchase was locked at
+    const fxGainPaise = paymentTotals.reduce((sum, p) => sum + p.fxGainPaise, 0);
 
-    // Calculate profit
-    const profitPaise = totals.clientPaymentsPaise - totals.vendorPaymentsPaise - totals.feesPaise;
+    // Calculate profit (refunds given reduce revenue, refunds recovered reduce cost)
+    const netRevenuePaise = totals.clientPaymentsPaise - clientRefunds;
+    const profitPaise = netRevenuePaise - (totals.vendorPaymentsPaise - vendorRefunds) - totals.feesPaise;
     const realizedProfitPaise = clientPayments - vendorPayments;
 
     // Get time series data
@@ -90,9 +185,10 @@ router.get('/summary', async (req, res, next) => {
         $group: {
           _id: groupByFormat,
           purchases: { $sum: 1 },
-          clientTotal: { $sum: '$amounts.clientPayTotalPaise' },
-          vendorTotal: { $sum: '$amounts.vendorPayTotalPaise' },
-          fees: { $sum: { $ifNull: ['$amounts.feesPaise', 0] } }
+          clientTotal: { $sum: clientTotalInr },
+          vendorTotal: { $sum: vendorTotalInr },
+          fees: { $sum: feesInr },
+          renewalTotal: { $sum: { $cond: [isRenewal, clientTotalInr, 0] } }
         }
       },
       {
@@ -109,11 +205,20 @@ router.get('/summary', async (req, res, next) => {
         totalPurchases: totals.totalPurchases,
         clientPaymentsPaise: totals.clientPaymentsPaise,
         vendorPaymentsPaise: totals.vendorPaymentsPaise,
+        grossRevenuePaise: totals.clientPaymentsPaise,
+        refundsPaise: clientRefunds,
+        netRevenuePaise,
+        vendorRefundsPaise: vendorRefunds,
         profitPaise,
         realizedClientPaymentsPaise: clientPayments,
         realizedVendorPaymentsPaise: vendorPayments,
         realizedProfitPaise,
-        feesPaise: totals.feesPaise
+        fxGainPaise,
+        feesPaise: totals.feesPaise,
+        newPurchases: totals.totalPurchases - totals.renewalPurchases,
+        renewalPurchases: totals.renewalPurchases,
+        newRevenuePaise: totals.clientPaymentsPaise - totals.renewalRevenuePaise,
+        renewalRevenuePaise: totals.renewalRevenuePaise
       },
       byPeriod: timeSeriesData.map(item => ({
         period: item._id,
@@ -121,7 +226,9 @@ router.get('/summary', async (req, res, next) => {
         client: item.clientTotal,
         vendor: item.vendorTotal,
         profit: item.profit,
-        fees: item.fees
+        fees: item.fees,
+        newRevenue: item.clientTotal - item.renewalTotal,
+        renewalRevenue: item.renewalTotal
       }))
     });
   } catch (error) {
@@ -149,13 +256,10 @@ router.get('/top', async (req, res, next) => {
         {
           $group: {
             _id: '$productId',
-            totalRevenue: { $sum: '$amounts.clientPayTotalPaise' },
+            totalRevenue: { $sum: clientTotalInr },
             totalProfit: {
               $sum: {
-                $subtract: [
-                  '$amounts.clientPayTotalPaise',
-                  { $add: ['$amounts.vendorPayTotalPaise', { $ifNull: ['$amounts.feesPaise', 0] }] }
-                ]
+                $subtract: [clientTotalInr, { $add: [vendorTotalInr, feesInr] }]
               }
             },
             purchaseCount: { $sum: 1 }
@@ -170,8 +274,8 @@ router.get('/top', async (req, res, next) => {
         {
           $group: {
             _id: '$vendorId',
-            totalPayout: { $sum: '$amounts.vendorPayTotalPaise' },
-            totalRevenue: { $sum: '$amounts.clientPayTotalPaise' },
+            totalPayout: { $sum: vendorTotalInr },
+            totalRevenue: { $sum: clientTotalInr },
             purchaseCount: { $sum: 1 }
           }
         },
@@ -208,6 +312,80 @@ router.get('/top', async (req, res, next) => {
   }
 });
 
+// GET /api/v1/analytics/coupons?from=&to=
+// Per coupon and per campaign, in INR. Cancelled purchases are left out since their
+// redemptions are reversed; a purchase with stacked coupons counts towards each of them.
+router.get('/coupons', async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    let dateFilter = {};
+    if (from || to) {
+      dateFilter.purchaseDate = {};
+      if (from) dateFilter.purchaseDate.$gte = new Date(from);
+      if (to) dateFilter.purchaseDate.$lte = new Date(to);
+    }
+
+    // One document per redemption, with the campaign of its coupon
+    const redemptionStages = [
+      { $unwind: '$coupons' },
+      {
+        $lookup: {
+          from: 'coupons',
+          localField: 'coupons.couponId',
+          foreignField: '_id',
+          as: 'coupon'
+        }
+      },
+      { $set: { campaignId: { $arrayElemAt: ['$coupon.campaignId', 0] } } }
+    ];
+
+    const [result] = await Purchase.aggregate([
+      { $match: { ...dateFilter, status: { $ne: 'CANCELLED' }, 'coupons.0': { $exists: true } } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                purchases: { $sum: 1 },
+                discountPaise: { $sum: inrAmount('discountPaise') },
+                revenuePaise: { $sum: netRevenueInr },
+                profitPaise: { $sum: profitInr }
+              }
+            },
+            { $project: { _id: 0 } }
+          ],
+          byCoupon: [...redemptionStages, ...couponPerformanceStages('$coupons.couponId')],
+          byCampaign: [...redemptionStages, ...couponPerformanceStages('$campaignId')]
+        }
+      }
+    ]);
+
+    const campaigns = await CouponCampaign.find({ _id: { $in: result.byCampaign.map(item => item._id) } })
+      .select('name prefix isActive');
+    const campaignsById = new Map(campaigns.map(campaign => [String(campaign._id), campaign]));
+
+    const totals = result.totals[0] || { purchases: 0, discountPaise: 0, revenuePaise: 0, profitPaise: 0 };
+
+    res.json({
+      range: { from, to },
+      totals: {
+        ...totals,
+        redemptions: result.byCoupon.reduce((sum, item) => sum + item.redemptions, 0)
+      },
+      coupons: result.byCoupon.map(({ _id, ...item }) => withRepeatRate({ couponId: _id, ...item })),
+      campaigns: result.byCampaign.map(({ _id, code, ...item }) => withRepeatRate({
+        campaignId: _id,
+        campaign: campaignsById.get(String(_id)) || null,
+        ...item
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/v1/analytics/expiring
 router.get('/expiring', async (req, res, next) => {
   try {
@@ -222,7 +400,7 @@ router.get('/expiring', async (req, res, next) => {
         $gte: now,
         $lte: futureDate
       },
-      status: { $ne: 'CANCELLED' }
+      status: { $nin: INACTIVE_STATUSES }
     })
     .populate('clientId', 'name email phone')
     .populate('productId', 'name')
@@ -264,13 +442,30 @@ router.get('/expiring', async (req, res, next) => {
 // GET /api/v1/analytics/outstanding
 router.get('/outstanding', async (req, res, next) => {
   try {
+    const now = new Date();
     const [clientDues, vendorDues] = await Promise.all([
       Purchase.aggregate([
         { $match: { 'settlement.clientDuePaise': { $gt: 0 } } },
         {
           $group: {
             _id: '$clientId',
-            totalDuePaise: { $sum: '$settlement.clientDuePaise' },
+            totalDuePaise: { $sum: inrAtRate('$settlement.clientDuePaise', '$fx.clientRate') },
+            // Unpaid part of installments already past their due date
+            overduePaise: {
+              $sum: {
+                $sum: {
+                  $map: {
+                    input: {
+                      $filter: {
+                        input: { $ifNull: ['$paymentSchedule', []] },
+                        cond: { $lt: ['$$this.dueDate', now] }
+                      }
+                    },
+                    in: inrAtRate({ $subtract: ['$$this.amountPaise', '$$this.paidPaise'] }, '$fx.clientRate')
+                  }
+                }
+              }
+            },
             purchaseCount: { $sum: 1 }
           }
         },
@@ -281,7 +476,7 @@ router.get('/outstanding', async (req, res, next) => {
         {
           $group: {
             _id: '$vendorId',
-            totalDuePaise: { $sum: '$settlement.vendorDuePaise' },
+            totalDuePaise: { $sum: inrAtRate('$settlement.vendorDuePaise', '$fx.vendorRate') },
             purchaseCount: { $sum: 1 }
           }
         },
@@ -311,10 +506,12 @@ router.get('/outstanding', async (req, res, next) => {
 
     const totalClientDue = clientDues.reduce((sum, item) => sum + item.totalDuePaise, 0);
     const totalVendorDue = vendorDues.reduce((sum, item) => sum + item.totalDuePaise, 0);
+    const totalClientOverdue = clientDues.reduce((sum, item) => sum + item.overduePaise, 0);
 
     res.json({
       summary: {
         totalClientDuePaise: totalClientDue,
+        totalClientOverduePaise: totalClientOverdue,
         totalVendorDuePaise: totalVendorDue,
         clientCount: clientDues.length,
         vendorCount: vendorDues.length
@@ -327,4 +524,24 @@ router.get('/outstanding', async (req, res, next) => {
   }
 });
 
+// GET /api/v1/analytics/outstanding/overdue?clientId=&asOf= - Overdue installments with aging
+router.get('/outstanding/overdue', async (req, res, next) => {
+  try {
+    const { clientId } = req.query;
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    if (isNaN(asOf)) {
+      return res.status(400).json({
+        error: { code: 'INVALID_DATE', message: 'asOf must be a valid date' }
+      });
+    }
+
+    const result = await getOverdueInstallments({ clientId, asOf });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
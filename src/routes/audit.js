@@ -0,0 +1,66 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { AuditQuerySchema } from '../validators/schemas.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/v1/audit
+router.get('/', authorize('admin', 'manager', 'finance'), async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      entity,
+      entityId,
+      userId,
+      action,
+      requestId,
+      from,
+      to
+    } = req.query;
+
+    let query = {};
+
+    // Entity filters
+    if (entity) query.entity = entity;
+    if (entityId) query.entityId = entityId;
+    if (action) query.action = action;
+
+    // Actor filters
+    if (userId) query.userId = userId;
+    if (requestId) query.requestId = requestId;
+
+    // Date range filter
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const logs = await AuditLog.find(query)
+      .populate('userId', 'name email role')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      logs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
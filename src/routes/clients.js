@@ -2,7 +2,15 @@ import express from 'express';
 import Client from '../models/Client.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { CreateClientSchema, UpdateClientSchema, PaginationSchema } from '../validators/schemas.js';
+import {
+  CreateClientSchema,
+  UpdateClientSchema,
+  PaginationSchema,
+  WalletAdvanceSchema,
+  WalletAdjustmentSchema
+} from '../validators/schemas.js';
+import { getWallet, postWalletTransaction, captureClientOverpayments } from '../services/walletService.js';
+import { withTransaction } from '../utils/transaction.js';
 
 const router = express.Router();
 
@@ -51,7 +59,9 @@ router.get('/', async (req, res, next) => {
 // POST /api/v1/clients
 router.post('/', authorize('admin', 'manager', 'sales'), validate(CreateClientSchema), async (req, res, next) => {
   try {
-    const client = new Client(req.body);
+    // The wallet balance only moves through wallet transactions
+    const { walletBalancePaise, ...data } = req.body;
+    const client = new Client(data);
     await client.save();
 
     res.status(201).json({
@@ -83,9 +93,10 @@ router.get('/:id', async (req, res, next) => {
 // PATCH /api/v1/clients/:id
 router.patch('/:id', authorize('admin', 'manager', 'sales'), validate(UpdateClientSchema), async (req, res, next) => {
   try {
+    const { walletBalancePaise, ...updates } = req.body;
     const client = await Client.findByIdAndUpdate(
       req.params.id,
-      { ...req.body, updatedAt: new Date() },
+      { ...updates, updatedAt: new Date() },
       { new: true, runValidators: true }
     );
 
@@ -104,10 +115,70 @@ router.patch('/:id', authorize('admin', 'manager', 'sales'), validate(UpdateClie
   }
 });
 
+// GET /api/v1/clients/:id/wallet - Balance and transaction history
+router.get('/:id/wallet', async (req, res, next) => {
+  try {
+    const wallet = await getWallet(req.params.id, req.query);
+    res.json(wallet);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/clients/:id/wallet/advances - Money received ahead of any purchase
+router.post('/:id/wallet/advances', authorize('admin', 'manager', 'finance'), validate(WalletAdvanceSchema), async (req, res, next) => {
+  try {
+    const transaction = await withTransaction(() => postWalletTransaction(req.params.id, req.body.amountPaise, {
+      ...req.body,
+      type: 'ADVANCE',
+      createdBy: req.user._id
+    }));
+
+    res.status(201).json({
+      message: 'Advance added to wallet',
+      transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/clients/:id/wallet/adjustments - Manual correction, positive or negative
+router.post('/:id/wallet/adjustments', authorize('admin', 'finance'), validate(WalletAdjustmentSchema), async (req, res, next) => {
+  try {
+    const transaction = await withTransaction(() => postWalletTransaction(req.params.id, req.body.amountPaise, {
+      type: 'ADJUSTMENT',
+      notes: req.body.notes,
+      createdBy: req.user._id
+    }));
+
+    res.status(201).json({
+      message: 'Wallet adjusted successfully',
+      transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/clients/:id/wallet/capture - Move overpayments on the client's purchases into the wallet
+router.post('/:id/wallet/capture', authorize('admin', 'manager', 'finance'), async (req, res, next) => {
+  try {
+    const transactions = await withTransaction(() => captureClientOverpayments(req.params.id, req.user._id));
+
+    res.json({
+      message: `${transactions.length} overpayment(s) moved to wallet`,
+      transactions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // DELETE /api/v1/clients/:id
 router.delete('/:id', authorize('admin', 'manager'), async (req, res, next) => {
   try {
-    const client = await Client.findByIdAndDelete(req.params.id);
+    const client = await Client.findById(req.params.id);
 
     if (!client) {
       return res.status(404).json({
@@ -115,7 +186,9 @@ router.delete('/:id', authorize('admin', 'manager'), async (req, res, next) => {
       });
     }
 
-    res.json({ message: 'Client deleted successfully' });
+    await client.softDelete(req.user._id);
+
+    res.json({ message: 'Client moved to trash' });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,148 @@
+import express from 'express';
+import Coupon from '../models/Coupon.js';
+import CouponCampaign from '../models/CouponCampaign.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { CreateCouponCampaignSchema } from '../validators/schemas.js';
+import { generateCouponCampaign, deactivateCouponCampaign } from '../services/couponService.js';
+import { exportCouponCampaign, EXPORT_FORMATS } from '../services/exportService.js';
+import { withTransaction } from '../utils/transaction.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const findCampaign = async (req, res) => {
+  const campaign = await CouponCampaign.findById(req.params.id);
+  if (!campaign) {
+    res.status(404).json({
+      error: { code: 'CAMPAIGN_NOT_FOUND', message: 'Coupon campaign not found' }
+    });
+  }
+  return campaign;
+};
+
+// GET /api/v1/coupon-campaigns
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, isActive } = req.query;
+
+    let query = {};
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    const campaigns = await CouponCampaign.find(query)
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CouponCampaign.countDocuments(query);
+
+    res.json({
+      campaigns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/coupon-campaigns - Generate a batch of unique codes
+router.post('/', authorize('admin', 'manager'), validate(CreateCouponCampaignSchema), async (req, res, next) => {
+  try {
+    const campaign = await withTransaction(() => generateCouponCampaign(req.body, req.user._id));
+
+    res.status(201).json({
+      message: campaign.generatedCount < campaign.count
+        ? `Generated ${campaign.generatedCount} of ${campaign.count} codes`
+        : `Generated ${campaign.generatedCount} codes`,
+      campaign
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/coupon-campaigns/:id - Campaign with redemption counts
+router.get('/:id', async (req, res, next) => {
+  try {
+    const campaign = await CouponCampaign.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('deactivatedBy', 'name');
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: { code: 'CAMPAIGN_NOT_FOUND', message: 'Coupon campaign not found' }
+      });
+    }
+
+    const [stats] = await Coupon.aggregate([
+      { $match: { campaignId: campaign._id } },
+      {
+        $group: {
+          _id: null,
+          codes: { $sum: 1 },
+          activeCodes: { $sum: { $cond: ['$isActive', 1, 0] } },
+          usedCodes: { $sum: { $cond: [{ $gt: ['$usedCount', 0] }, 1, 0] } },
+          uses: { $sum: '$usedCount' }
+        }
+      }
+    ]);
+
+    res.json({
+      campaign,
+      stats: stats
+        ? { codes: stats.codes, activeCodes: stats.activeCodes, usedCodes: stats.usedCodes, uses: stats.uses }
+        : { codes: 0, activeCodes: 0, usedCodes: 0, uses: 0 }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/coupon-campaigns/:id/export?format=csv|xlsx
+router.get('/:id/export', authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const { format = 'csv' } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: { code: 'INVALID_FORMAT', message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` }
+      });
+    }
+
+    const campaign = await findCampaign(req, res);
+    if (!campaign) return;
+
+    await exportCouponCampaign(res, campaign, format);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('❌ Coupon export failed mid-stream:', error.message);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+// POST /api/v1/coupon-campaigns/:id/deactivate - Deactivate every code in the campaign
+router.post('/:id/deactivate', authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const { campaign, deactivated } = await withTransaction(() => deactivateCouponCampaign(req.params.id, req.user._id));
+
+    res.json({
+      message: `Campaign deactivated; ${deactivated} codes disabled`,
+      campaign
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
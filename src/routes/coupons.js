@@ -1,8 +1,11 @@
 import express from 'express';
 import Coupon from '../models/Coupon.js';
+import CouponCampaign from '../models/CouponCampaign.js';
+import CouponRedemption from '../models/CouponRedemption.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 import { CreateCouponSchema, UpdateCouponSchema, ValidateCouponSchema } from '../validators/schemas.js';
+import { getCouponRejection } from '../services/couponService.js';
 
 const router = express.Router();
 
@@ -12,7 +15,7 @@ router.use(authenticate);
 // GET /api/v1/coupons
 router.get('/', async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, search, isActive } = req.query;
+    const { page = 1, limit = 20, search, isActive, campaignId } = req.query;
     
     let query = {};
     
@@ -21,6 +24,11 @@ router.get('/', async (req, res, next) => {
       query.isActive = isActive === 'true';
     }
     
+    // Codes generated in one campaign
+    if (campaignId) {
+      query.campaignId = campaignId;
+    }
+    
     // Search by code
     if (search) {
       query.code = { $regex: search, $options: 'i' };
@@ -51,7 +59,9 @@ router.get('/', async (req, res, next) => {
 // POST /api/v1/coupons
 router.post('/', authorize('admin', 'manager'), validate(CreateCouponSchema), async (req, res, next) => {
   try {
-    const coupon = new Coupon(req.body);
+    // Uses are only counted through redemptions; campaign codes are generated
+    const { usedCount, campaignId, ...fields } = req.body;
+    const coupon = new Coupon(fields);
     await coupon.save();
     
     await coupon.populate('productId', 'name sku');
@@ -68,40 +78,42 @@ router.post('/', authorize('admin', 'manager'), validate(CreateCouponSchema), as
 // POST /api/v1/coupons/validate
 router.post('/validate', validate(ValidateCouponSchema), async (req, res, next) => {
   try {
-    const { code, productId } = req.body;
-    
-    let query = { code: code.toUpperCase() };
-    if (productId) {
-      query.$or = [
-        { productId: productId },
-        { productId: { $exists: false } } // Generic coupons
-      ];
-    }
+    const { code, productId, clientId, amountPaise } = req.body;
 
-    const coupon = await Coupon.findOne(query);
+    const coupon = await Coupon.findOne({ code: code.toUpperCase() });
     
     if (!coupon) {
       return res.json({
         valid: false,
+        reason: 'COUPON_NOT_FOUND',
         message: 'Coupon not found'
       });
     }
 
-    if (!coupon.isValid()) {
+    const rejection = await getCouponRejection(coupon, { productId, clientId, amountPaise });
+    if (rejection) {
       return res.json({
         valid: false,
-        message: 'Coupon is expired or inactive'
+        reason: rejection.code,
+        message: rejection.message
       });
     }
 
+    // Discount on the given amount when this coupon is used on its own
+    const discountPaise = amountPaise !== undefined ? coupon.calculateDiscount(amountPaise) : undefined;
+
     res.json({
       valid: true,
       coupon: {
         id: coupon._id,
         code: coupon.code,
         discountType: coupon.discountType,
-        discountValuePaise: coupon.discountValuePaise
-      }
+        discountValuePaise: coupon.discountValuePaise,
+        minOrderPaise: coupon.minOrderPaise,
+        maxDiscountPaise: coupon.maxDiscountPaise,
+        stacking: coupon.stacking
+      },
+      ...(discountPaise !== undefined && { discountPaise, totalPaise: amountPaise - discountPaise })
     });
   } catch (error) {
     next(error);
@@ -126,12 +138,67 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+// GET /api/v1/coupons/:id/redemptions - Redemption ledger, newest first
+router.get('/:id/redemptions', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const coupon = await Coupon.findById(req.params.id).select('code usedCount maxUses');
+    if (!coupon) {
+      return res.status(404).json({
+        error: { code: 'COUPON_NOT_FOUND', message: 'Coupon not found' }
+      });
+    }
+
+    const query = { couponId: coupon._id };
+    if (status) query.status = status;
+
+    const redemptions = await CouponRedemption.find(query)
+      .populate('purchaseId', 'orderId purchaseDate status')
+      .populate('clientId', 'name phone')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CouponRedemption.countDocuments(query);
+
+    res.json({
+      coupon,
+      redemptions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // PATCH /api/v1/coupons/:id
 router.patch('/:id', authorize('admin', 'manager'), validate(UpdateCouponSchema), async (req, res, next) => {
   try {
+    const { usedCount, campaignId, ...changes } = req.body;
+
+    // Codes of a deactivated campaign stay off; the campaign decides
+    if (changes.isActive === true) {
+      const existing = await Coupon.findById(req.params.id).select('campaignId');
+      const campaignActive = existing?.campaignId
+        ? await CouponCampaign.exists({ _id: existing.campaignId, isActive: true })
+        : true;
+      if (!campaignActive) {
+        return res.status(409).json({
+          error: { code: 'CAMPAIGN_INACTIVE', message: 'Coupon belongs to a deactivated campaign and cannot be reactivated' }
+        });
+      }
+    }
+
     const coupon = await Coupon.findByIdAndUpdate(
       req.params.id,
-      { ...req.body, updatedAt: new Date() },
+      { ...changes, updatedAt: new Date() },
       { new: true, runValidators: true }
     ).populate('productId', 'name sku');
 
@@ -153,7 +220,7 @@ router.patch('/:id', authorize('admin', 'manager'), validate(UpdateCouponSchema)
 // DELETE /api/v1/coupons/:id
 router.delete('/:id', authorize('admin', 'manager'), async (req, res, next) => {
   try {
-    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    const coupon = await Coupon.findById(req.params.id);
 
     if (!coupon) {
       return res.status(404).json({
@@ -161,7 +228,9 @@ router.delete('/:id', authorize('admin', 'manager'), async (req, res, next) => {
       });
     }
 
-    res.json({ message: 'Coupon deleted successfully' });
+    await coupon.softDelete(req.user._id);
+
+    res.json({ message: 'Coupon moved to trash' });
   } catch (error) {
     next(error);
   }
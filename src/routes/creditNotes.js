@@ -0,0 +1,70 @@
+import express from 'express';
+import CreditNote from '../models/CreditNote.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { dateRange } from '../utils/filters.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, authorize('admin', 'manager', 'finance'));
+
+// GET /api/v1/credit-notes
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, purchaseId, clientId, status, from, to } = req.query;
+
+    let query = {};
+    if (purchaseId) query.purchaseId = purchaseId;
+    if (clientId) query.clientId = clientId;
+    if (status) query.status = status;
+
+    // Date range filter
+    const issuedOn = dateRange(from, to);
+    if (issuedOn) query.issuedOn = issuedOn;
+
+    const creditNotes = await CreditNote.find(query)
+      .populate('purchaseId', 'orderId')
+      .populate('clientId', 'name phone')
+      .populate('createdBy', 'name')
+      .sort({ issuedOn: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CreditNote.countDocuments(query);
+
+    res.json({
+      creditNotes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/credit-notes/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate('purchaseId', 'orderId productId amounts')
+      .populate('clientId', 'name email phone')
+      .populate('paymentId', 'amountPaise paidOn method reference')
+      .populate('createdBy', 'name');
+
+    if (!creditNote) {
+      return res.status(404).json({
+        error: { code: 'CREDIT_NOTE_NOT_FOUND', message: 'Credit note not found' }
+      });
+    }
+
+    res.json({ creditNote });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { ExportQuerySchema } from '../validators/schemas.js';
+import { exportPurchases, exportPayments, exportDues } from '../services/exportService.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate, authorize('admin', 'manager', 'finance'));
+
+// Streams an export; once streaming has started errors can only abort the response
+const streamRoute = (exporter) => async (req, res, next) => {
+  try {
+    const params = ExportQuerySchema.parse(req.query);
+    await exporter(res, params);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('❌ Export failed mid-stream:', error.message);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+// GET /api/v1/exports/purchases?format=csv|xlsx&from&to&status&clientId&vendorId&productId
+router.get('/purchases', streamRoute(exportPurchases));
+
+// GET /api/v1/exports/payments?format=csv|xlsx&from&to&type&purchaseId&status&clientId&vendorId&productId
+router.get('/payments', streamRoute(exportPayments));
+
+// GET /api/v1/exports/dues?format=csv|xlsx&side=client|vendor&from&to&clientId&vendorId&productId
+router.get('/dues', streamRoute(exportDues));
+
+export default router;
@@ -0,0 +1,117 @@
+import express from 'express';
+import multer from 'multer';
+import FxRate from '../models/FxRate.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { FxRateSchema } from '../validators/schemas.js';
+import { setRate, importRates } from '../services/fxService.js';
+
+const router = express.Router();
+
+// Configure multer for in-memory CSV uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+// All routes require finance access
+router.use(authenticate, authorize('admin', 'manager', 'finance'));
+
+// GET /api/v1/fx/rates?currency=&from=&to=
+router.get('/rates', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, currency, from, to } = req.query;
+
+    let query = {};
+    if (currency) query.currency = currency.toUpperCase();
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+
+    const rates = await FxRate.find(query)
+      .populate('createdBy', 'name')
+      .sort({ date: -1, currency: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await FxRate.countDocuments(query);
+
+    res.json({
+      rates,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/fx/rates - Add or replace the rate for a currency and day
+router.post('/rates', authorize('admin', 'finance'), validate(FxRateSchema), async (req, res, next) => {
+  try {
+    const rate = await setRate(req.body, req.user._id);
+
+    res.status(201).json({
+      message: 'FX rate saved',
+      rate
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/fx/rates/import - CSV with columns date, currency, rate
+router.post('/rates/import', authorize('admin', 'finance'), upload.single('file'), async (req, res, next) => {
+  try {
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!csvText) {
+      return res.status(400).json({
+        error: { code: 'NO_FILE', message: 'Upload a CSV file or send its content as csv' }
+      });
+    }
+
+    const result = await importRates(csvText, req.user._id);
+
+    res.json({
+      message: `Imported ${result.imported} rates`,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/fx/rates/:id - Rates already locked on purchases are not affected
+router.delete('/rates/:id', authorize('admin', 'finance'), async (req, res, next) => {
+  try {
+    const rate = await FxRate.findByIdAndDelete(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        error: { code: 'RATE_NOT_FOUND', message: 'FX rate not found' }
+      });
+    }
+
+    res.json({ message: 'FX rate deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
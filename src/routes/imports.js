@@ -0,0 +1,142 @@
+import express from 'express';
+import multer from 'multer';
+import ImportBatch from '../models/ImportBatch.js';
+import Purchase from '../models/Purchase.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { importPurchases, rollbackImport, PURCHASE_IMPORT_COLUMNS } from '../services/importService.js';
+
+const router = express.Router();
+
+// Configure multer for in-memory CSV uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/v1/imports/purchases/columns - Expected CSV header
+router.get('/purchases/columns', (req, res) => {
+  res.json({ columns: PURCHASE_IMPORT_COLUMNS });
+});
+
+// POST /api/v1/imports/purchases?dryRun=false&createMissing=clients,vendors,products&skipInvalid=true
+router.post('/purchases', authorize('admin', 'manager'), upload.single('file'), async (req, res, next) => {
+  try {
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!csvText) {
+      return res.status(400).json({
+        error: { code: 'NO_FILE', message: 'Upload a CSV file or send its content as csv' }
+      });
+    }
+
+    // Dry run unless explicitly committed
+    const dryRun = req.query.dryRun !== 'false';
+    const createMissing = (req.query.createMissing || '')
+      .split(',')
+      .map(kind => kind.trim())
+      .filter(Boolean)
+      .reduce((acc, kind) => ({ ...acc, [kind]: true }), {});
+
+    const result = await importPurchases(csvText, {
+      dryRun,
+      createMissing,
+      skipInvalid: req.query.skipInvalid === 'true',
+      filename: req.file?.originalname,
+      userId: req.user._id
+    });
+
+    if (!dryRun && !result.committed) {
+      return res.status(422).json({
+        error: { code: 'IMPORT_INVALID', message: 'Import has invalid rows; fix them or pass skipInvalid=true' },
+        ...result
+      });
+    }
+
+    res.status(result.committed ? 201 : 200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/imports
+router.get('/', authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+
+    const batches = await ImportBatch.find(query)
+      .select('-rowErrors')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ImportBatch.countDocuments(query);
+
+    res.json({
+      batches,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/imports/:id
+router.get('/:id', authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('rolledBackBy', 'name');
+
+    if (!batch) {
+      return res.status(404).json({
+        error: { code: 'IMPORT_NOT_FOUND', message: 'Import batch not found' }
+      });
+    }
+
+    const purchases = await Purchase.find({ importBatchId: batch._id })
+      .select('orderId clientId productId purchaseDate amounts status')
+      .populate('clientId', 'name')
+      .populate('productId', 'name sku');
+
+    res.json({ batch, purchases });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/imports/:id/rollback
+router.post('/:id/rollback', authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const batch = await rollbackImport(req.params.id, req.user._id);
+
+    res.json({
+      message: 'Import rolled back successfully',
+      batch
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -5,38 +5,34 @@ import { authenticate, authorize } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 import { CreatePaymentSchema, UpdatePaymentSchema, PaymentQuerySchema } from '../validators/schemas.js';
 import { updatePurchaseSettlement } from '../services/purchaseService.js';
+import { softDeletePayment } from '../services/trashService.js';
+import { buildPaymentFilter } from '../utils/filters.js';
+import { REFUND_LIMITS, assertRefundWithinPaid, issueCreditNote, syncCreditNote } from '../services/creditNoteService.js';
+import { payFromWallet, captureOverpayment, reverseWalletPayment } from '../services/walletService.js';
+import { getBusinessProfile } from '../services/invoiceService.js';
+import { renderPaymentReceiptPdf } from '../services/pdfService.js';
+import { withTransaction } from '../utils/transaction.js';
+import { httpError } from '../utils/httpError.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+// Drop fields a request body may not set: links owned by other flows, computed FX values and trash fields
+const withoutProtectedFields = ({
+  receiptId, payoutBatchId, creditNoteId, statementLineId,
+  currency, fxRate, amountInrPaise, fxGainPaise,
+  deletedAt, deletedBy, createdBy,
+  ...fields
+}) => fields;
+
 // GET /api/v1/payments
 router.get('/', async (req, res, next) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      purchaseId,
-      type,
-      from,
-      to
-    } = req.query;
-
-    let query = {};
-
-    // Filter by purchase
-    if (purchaseId) query.purchaseId = purchaseId;
+    const { page = 1, limit = 20 } = req.query;
 
-    // Filter by type
-    if (type) query.type = type;
-
-    // Date range filter
-    if (from || to) {
-      query.paidOn = {};
-      if (from) query.paidOn.$gte = new Date(from);
-      if (to) query.paidOn.$lte = new Date(to);
-    }
+    const query = buildPaymentFilter(req.query);
 
     const payments = await Payment.find(query)
       .populate('purchaseId', 'orderId clientId vendorId productId')
@@ -64,34 +60,65 @@ router.get('/', async (req, res, next) => {
 // POST /api/v1/payments
 router.post('/', authorize('admin', 'manager', 'sales', 'finance'), validate(CreatePaymentSchema), async (req, res, next) => {
   try {
-    // Check if purchase exists
-    const purchase = await Purchase.findById(req.body.purchaseId);
-    if (!purchase) {
-      return res.status(404).json({
-        error: { code: 'PURCHASE_NOT_FOUND', message: 'Purchase not found' }
-      });
-    }
-
     // Role-based restrictions
-    if (req.user.role === 'sales' && req.body.type === 'VENDOR') {
+    if (req.user.role === 'sales' && req.body.type !== 'CLIENT') {
       return res.status(403).json({
         error: { code: 'INSUFFICIENT_PERMISSIONS', message: 'Sales users can only create client payments' }
       });
     }
 
-    const payment = new Payment({
-      ...req.body,
-      createdBy: req.user._id
-    });
+    if (req.body.method === 'WALLET' && req.body.type !== 'CLIENT') {
+      return res.status(400).json({
+        error: { code: 'INVALID_METHOD', message: 'Only client payments can be paid from the wallet' }
+      });
+    }
+
+    // Links to receipts, payouts, credit notes and statement lines are set by those flows;
+    // FX values are computed and trashing goes through DELETE
+    const fields = withoutProtectedFields(req.body);
+
+    // The payment, its documents and the purchase settlement are written together
+    const payment = await withTransaction(async () => {
+      const purchase = await Purchase.findById(req.body.purchaseId);
+      if (!purchase) {
+        throw httpError(404, 'PURCHASE_NOT_FOUND', 'Purchase not found');
+      }
+
+      // Refunds cannot exceed what has been paid so far
+      assertRefundWithinPaid(purchase, req.body.type, req.body.amountPaise);
+
+      if (req.body.method === 'WALLET') {
+        // Debits the client wallet and updates purchase settlement
+        return payFromWallet(purchase, fields, req.user._id);
+      }
+
+      const created = new Payment({
+        ...fields,
+        createdBy: req.user._id
+      });
+
+      await created.save();
+
+      // Client refunds are documented with a numbered credit note
+      if (created.type === 'CLIENT_REFUND') {
+        await issueCreditNote(created, req.body.notes);
+      }
 
-    await payment.save();
+      // Update purchase settlement
+      await updatePurchaseSettlement(req.body.purchaseId);
 
-    // Update purchase settlement
-    await updatePurchaseSettlement(req.body.purchaseId);
+      // Anything paid beyond the total is kept as client credit
+      if (created.type === 'CLIENT') {
+        await captureOverpayment(req.body.purchaseId, req.user._id);
+      }
+
+      return created;
+    });
 
     await payment.populate([
       { path: 'purchaseId', select: 'orderId' },
-      { path: 'createdBy', select: 'name' }
+      { path: 'createdBy', select: 'name' },
+      { path: 'creditNoteId', select: 'number status' }
     ]);
 
     res.status(201).json({
@@ -122,17 +149,19 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
-// PATCH /api/v1/payments/:id
-router.patch('/:id', authorize('admin', 'manager', 'finance'), validate(UpdatePaymentSchema), async (req, res, next) => {
+// GET /api/v1/payments/:id/receipt.pdf - Receipt for a client payment
+router.get('/:id/receipt.pdf', async (req, res, next) => {
   try {
-    const payment = await Payment.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate([
-      { path: 'purchaseId', select: 'orderId' },
-      { path: 'createdBy', select: 'name' }
-    ]);
+    const payment = await Payment.findById(req.params.id)
+      .populate({
+        path: 'purchaseId',
+        select: 'orderId invoice amounts settlement clientId productId',
+        populate: [
+          { path: 'clientId', select: 'name email phone' },
+          { path: 'productId', select: 'name' }
+        ]
+      })
+      .populate('receiptId', 'number');
 
     if (!payment) {
       return res.status(404).json({
@@ -140,8 +169,101 @@ router.patch('/:id', authorize('admin', 'manager', 'finance'), validate(UpdatePa
       });
     }
 
-    // Update purchase settlement
-    await updatePurchaseSettlement(payment.purchaseId._id);
+    if (payment.type !== 'CLIENT') {
+      return res.status(400).json({
+        error: { code: 'NOT_CLIENT_PAYMENT', message: 'Receipts are only issued for client payments' }
+      });
+    }
+
+    const business = await getBusinessProfile({ withLogo: true });
+    renderPaymentReceiptPdf(res, payment, business);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('❌ Payment receipt failed mid-stream:', error.message);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+// PATCH /api/v1/payments/:id
+router.patch('/:id', authorize('admin', 'manager', 'finance'), validate(UpdatePaymentSchema), async (req, res, next) => {
+  try {
+    const existing = await Payment.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        error: { code: 'PAYMENT_NOT_FOUND', message: 'Payment not found' }
+      });
+    }
+
+    if (existing.receiptId) {
+      return res.status(409).json({
+        error: { code: 'RECEIPT_PAYMENT', message: 'Payment was booked from a receipt; change the receipt allocation instead' }
+      });
+    }
+
+    if (existing.payoutBatchId) {
+      return res.status(409).json({
+        error: { code: 'PAYOUT_PAYMENT', message: 'Payment belongs to a confirmed payout batch and cannot be changed' }
+      });
+    }
+
+    if (existing.method === 'WALLET' || req.body.method === 'WALLET') {
+      return res.status(409).json({
+        error: { code: 'WALLET_PAYMENT', message: 'Wallet payments cannot be edited; delete and re-record them instead' }
+      });
+    }
+
+    if (existing.statementLineId && req.body.amountPaise !== undefined && req.body.amountPaise !== existing.amountPaise) {
+      return res.status(409).json({
+        error: { code: 'RECONCILED_PAYMENT', message: 'Payment is reconciled with a bank statement line; unmatch it before changing the amount' }
+      });
+    }
+
+    // Payments and refunds carry different documents, so the kind is fixed once recorded
+    if (req.body.type && req.body.type !== existing.type) {
+      return res.status(400).json({
+        error: { code: 'TYPE_IMMUTABLE', message: 'Payment type cannot be changed; delete and re-record it instead' }
+      });
+    }
+
+    // Refund limits, currency and credit notes all follow the purchase, so it is fixed as well
+    if (req.body.purchaseId && req.body.purchaseId !== existing.purchaseId.toString()) {
+      return res.status(400).json({
+        error: { code: 'PURCHASE_IMMUTABLE', message: 'Payment purchase cannot be changed; delete and re-record it instead' }
+      });
+    }
+
+    const payment = await withTransaction(async () => {
+      if (req.body.amountPaise !== undefined && REFUND_LIMITS[existing.type]) {
+        const purchase = await Purchase.findById(existing.purchaseId);
+        assertRefundWithinPaid(purchase, existing.type, req.body.amountPaise, existing.amountPaise);
+      }
+
+      // Saved as a document so the INR value and FX gain are recomputed
+      const updated = await Payment.findById(req.params.id);
+      if (!updated) {
+        throw httpError(404, 'PAYMENT_NOT_FOUND', 'Payment not found');
+      }
+
+      updated.set(withoutProtectedFields(req.body));
+      await updated.save();
+
+      // Update purchase settlement and any credit note
+      await updatePurchaseSettlement(updated.purchaseId);
+      await syncCreditNote(updated);
+
+      if (updated.type === 'CLIENT') {
+        await captureOverpayment(updated.purchaseId, req.user._id);
+      }
+
+      return updated;
+    });
+
+    await payment.populate([
+      { path: 'purchaseId', select: 'orderId' },
+      { path: 'createdBy', select: 'name' }
+    ]);
 
     res.json({
       message: 'Payment updated successfully',
@@ -163,13 +285,35 @@ router.delete('/:id', authorize('admin', 'manager', 'finance'), async (req, res,
       });
     }
 
-    const purchaseId = payment.purchaseId;
-    await Payment.findByIdAndDelete(req.params.id);
+    if (payment.receiptId) {
+      return res.status(409).json({
+        error: { code: 'RECEIPT_PAYMENT', message: 'Payment was booked from a receipt; change the receipt allocation instead' }
+      });
+    }
+
+    if (payment.payoutBatchId) {
+      return res.status(409).json({
+        error: { code: 'PAYOUT_PAYMENT', message: 'Payment belongs to a confirmed payout batch and cannot be deleted' }
+      });
+    }
 
-    // Update purchase settlement
-    await updatePurchaseSettlement(purchaseId);
+    if (payment.statementLineId) {
+      return res.status(409).json({
+        error: { code: 'RECONCILED_PAYMENT', message: 'Payment is reconciled with a bank statement line; unmatch it before deleting' }
+      });
+    }
+
+    await withTransaction(async () => {
+      if (payment.method === 'WALLET') {
+        // Returns the money to (or takes it back from) the client wallet before trashing
+        await reverseWalletPayment(payment, req.user._id);
+      } else {
+        // Moves the payment to the trash and updates purchase settlement
+        await softDeletePayment(payment, req.user._id);
+      }
+    });
 
-    res.json({ message: 'Payment deleted successfully' });
+    res.json({ message: 'Payment moved to trash' });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,183 @@
+import express from 'express';
+import PayoutBatch from '../models/PayoutBatch.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  CreatePayoutBatchSchema,
+  UpdatePayoutBatchSchema,
+  ConfirmPayoutBatchSchema
+} from '../validators/schemas.js';
+import {
+  createPayoutBatch,
+  updatePayoutBatch,
+  confirmPayoutBatch,
+  cancelPayoutBatch
+} from '../services/payoutService.js';
+import { exportPayoutStatement, EXPORT_FORMATS } from '../services/exportService.js';
+import { withTransaction } from '../utils/transaction.js';
+
+const router = express.Router();
+
+// All routes require finance access
+router.use(authenticate, authorize('admin', 'manager', 'finance'));
+
+const populateBatch = (batch) => batch.populate([
+  { path: 'vendorId', select: 'name phone' },
+  { path: 'createdBy', select: 'name' },
+  { path: 'confirmedBy', select: 'name' }
+]);
+
+const findBatch = async (req, res) => {
+  const batch = await PayoutBatch.findById(req.params.id);
+  if (!batch) {
+    res.status(404).json({
+      error: { code: 'PAYOUT_NOT_FOUND', message: 'Payout batch not found' }
+    });
+  }
+  return batch;
+};
+
+// GET /api/v1/payouts
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, vendorId, status } = req.query;
+
+    let query = {};
+    if (vendorId) query.vendorId = vendorId;
+    if (status) query.status = status;
+
+    const batches = await PayoutBatch.find(query)
+      .populate('vendorId', 'name')
+      .populate('createdBy', 'name')
+      .select('-lines')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PayoutBatch.countDocuments(query);
+
+    res.json({
+      batches,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/payouts - Draft a batch from a vendor's open dues
+router.post('/', validate(CreatePayoutBatchSchema), async (req, res, next) => {
+  try {
+    const batch = await createPayoutBatch(req.body, req.user._id);
+    await populateBatch(batch);
+
+    res.status(201).json({
+      message: 'Payout batch drafted successfully',
+      batch
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/payouts/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    await populateBatch(batch);
+
+    res.json({ batch });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/v1/payouts/:id - Adjust line amounts (0 removes a line) while in draft
+router.patch('/:id', validate(UpdatePayoutBatchSchema), async (req, res, next) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    await updatePayoutBatch(batch, req.body);
+    await populateBatch(batch);
+
+    res.json({
+      message: 'Payout batch updated successfully',
+      batch
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/payouts/:id/confirm - Create the vendor payments
+router.post('/:id/confirm', authorize('admin', 'finance'), validate(ConfirmPayoutBatchSchema), async (req, res, next) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    await withTransaction(() => confirmPayoutBatch(batch, req.body, req.user._id));
+    await populateBatch(batch);
+
+    res.json({
+      message: 'Payout batch confirmed successfully',
+      batch
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/payouts/:id/cancel
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    const cancelled = await cancelPayoutBatch(batch);
+
+    res.json({
+      message: 'Payout batch cancelled',
+      batch: cancelled
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/payouts/:id/statement?format=csv|xlsx
+router.get('/:id/statement', async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: { code: 'INVALID_FORMAT', message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` }
+      });
+    }
+
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    await batch.populate([
+      { path: 'vendorId', select: 'name' },
+      { path: 'lines.purchaseId', select: 'productId', populate: { path: 'productId', select: 'name' } }
+    ]);
+
+    await exportPayoutStatement(res, batch, format);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('❌ Payout statement failed mid-stream:', error.message);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+export default router;
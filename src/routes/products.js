@@ -110,7 +110,7 @@ router.patch('/:id', authorize('admin', 'manager'), validate(UpdateProductSchema
 // DELETE /api/v1/products/:id
 router.delete('/:id', authorize('admin', 'manager'), async (req, res, next) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return res.status(404).json({
@@ -118,7 +118,9 @@ router.delete('/:id', authorize('admin', 'manager'), async (req, res, next) => {
       });
     }
 
-    res.json({ message: 'Product deleted successfully' });
+    await product.softDelete(req.user._id);
+
+    res.json({ message: 'Product moved to trash' });
   } catch (error) {
     next(error);
   }
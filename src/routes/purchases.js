@@ -1,52 +1,49 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import Purchase from '../models/Purchase.js';
 import Payment from '../models/Payment.js';
+import Reminder from '../models/Reminder.js';
+import CredentialAccessLog from '../models/CredentialAccessLog.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
-import { CreatePurchaseSchema, UpdatePurchaseSchema, PurchaseQuerySchema } from '../validators/schemas.js';
-import { updatePurchaseSettlement } from '../services/purchaseService.js';
+import { CreatePurchaseSchema, UpdatePurchaseSchema, RenewPurchaseSchema, PurchaseTransitionSchema, RevealCredentialsSchema, RotateCredentialsSchema, PurchaseQuerySchema, PaymentScheduleSchema } from '../validators/schemas.js';
+import { updatePurchaseSettlement, generateOrderId, renewPurchase, getRenewalChain } from '../services/purchaseService.js';
+import { STATUS_ACTIONS, INACTIVE_STATUSES, transitionPurchaseStatus } from '../services/purchaseStatus.js';
+import { softDeletePurchase } from '../services/trashService.js';
+import { setPaymentSchedule, clearPaymentSchedule, assertScheduleMatchesTotal } from '../services/scheduleService.js';
+import { getBusinessProfile, issueInvoiceNumber } from '../services/invoiceService.js';
+import { renderInvoicePdf } from '../services/pdfService.js';
+import { applyGst, GST_INPUT_PATHS } from '../services/taxService.js';
+import { lockFxRates, FX_INPUT_PATHS } from '../services/fxService.js';
+import { redeemCoupons } from '../services/couponService.js';
+import { buildPurchaseFilter } from '../utils/filters.js';
+import { withTransaction } from '../utils/transaction.js';
+import { getCredentialRoles, revealCredentials, rotateCredentials } from '../services/credentialService.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+// Credential access is limited to the roles in CREDENTIAL_REVEAL_ROLES
+const authorizeCredentials = (req, res, next) => authorize(...getCredentialRoles())(req, res, next);
+
+// Reveal rate limiting per user (CREDENTIAL_REVEAL_LIMIT per 15 minutes)
+const revealLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: () => parseInt(process.env.CREDENTIAL_REVEAL_LIMIT) || 10,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    error: { code: 'TOO_MANY_REVEALS', message: 'Too many credential reveals, please try again later.' }
+  }
+});
+
 // GET /api/v1/purchases
 router.get('/', async (req, res, next) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      from,
-      to,
-      status,
-      clientId,
-      vendorId,
-      productId,
-      search
-    } = req.query;
-
-    let query = {};
-
-    // Date range filter
-    if (from || to) {
-      query.purchaseDate = {};
-      if (from) query.purchaseDate.$gte = new Date(from);
-      if (to) query.purchaseDate.$lte = new Date(to);
-    }
+    const { page = 1, limit = 20 } = req.query;
 
-    // Status filter
-    if (status) query.status = status;
-
-    // Entity filters
-    if (clientId) query.clientId = clientId;
-    if (vendorId) query.vendorId = vendorId;
-    if (productId) query.productId = productId;
-
-    // Text search on orderId
-    if (search) {
-      query.orderId = { $regex: search, $options: 'i' };
-    }
+    const query = buildPurchaseFilter(req.query);
 
     const purchases = await Purchase.find(query)
       .populate('clientId', 'name email phone')
@@ -76,11 +73,28 @@ router.get('/', async (req, res, next) => {
 // POST /api/v1/purchases
 router.post('/', authorize('admin', 'manager', 'sales'), validate(CreatePurchaseSchema), async (req, res, next) => {
   try {
+    // Installment plans are set through the schedule endpoints once the purchase exists;
+    // invoice numbers, tax, FX conversions and the coupon records are computed; renewal links,
+    // import batches and trash fields are only set by their own flows
+    const {
+      status, statusHistory, paymentSchedule, invoice, gst, fx, amountsInr, coupons, couponCode, couponCodes,
+      renewal, importBatchId, deletedAt, deletedBy, ...fields
+    } = req.body;
+    const codes = couponCodes || (couponCode ? [couponCode] : []);
+
     const purchaseData = {
-      ...req.body,
+      ...fields,
       createdBy: req.user._id
     };
 
+    // Assign the next order ID for the source platform when none is given
+    if (!purchaseData.orderId) {
+      purchaseData.orderId = await generateOrderId(
+        purchaseData.sourcePlatform || 'WHATSAPP',
+        purchaseData.purchaseDate ? new Date(purchaseData.purchaseDate) : undefined
+      );
+    }
+
     // Handle password encryption if provided
     if (purchaseData.activation?.credentials?.password) {
       const purchase = new Purchase(purchaseData);
@@ -89,8 +103,15 @@ router.post('/', authorize('admin', 'manager', 'sales'), validate(CreatePurchase
       purchaseData.activation.credentials.passwordEncrypted = purchase.activation.credentials.passwordEncrypted;
     }
 
-    const purchase = new Purchase(purchaseData);
-    await purchase.save();
+    // Coupon uses are only kept when the purchase is saved
+    const purchase = await withTransaction(async () => {
+      const purchase = new Purchase(purchaseData);
+      if (codes.length > 0) await redeemCoupons(purchase, codes, req.user._id);
+      await lockFxRates(purchase);
+      await applyGst(purchase);
+      await purchase.save();
+      return purchase;
+    });
 
     await purchase.populate([
       { path: 'clientId', select: 'name email phone' },
@@ -124,14 +145,8 @@ router.get('/:id', async (req, res, next) => {
       });
     }
 
-    // Don't expose encrypted password in response
-    const purchaseObj = purchase.toObject();
-    if (purchaseObj.activation?.credentials?.passwordEncrypted) {
-      purchaseObj.activation.credentials.hasPassword = true;
-      delete purchaseObj.activation.credentials.passwordEncrypted;
-    }
-
-    res.json({ purchase: purchaseObj });
+    // toJSON strips encrypted passwords and flags hasPassword instead
+    res.json({ purchase });
   } catch (error) {
     next(error);
   }
@@ -140,33 +155,92 @@ router.get('/:id', async (req, res, next) => {
 // PATCH /api/v1/purchases/:id
 router.patch('/:id', authorize('admin', 'manager', 'sales', 'finance'), validate(UpdatePurchaseSchema), async (req, res, next) => {
   try {
+    // Status only changes through the status action endpoints; settlement follows the payments,
+    // the installment plan has its own endpoints, invoice, tax and FX fields are computed
+    // and coupons are only redeemed when the purchase is created; renewal links, import batches
+    // and trash fields are only set by their own flows
+    const {
+      status, statusHistory, settlement, paymentSchedule, invoice, gst, fx, amountsInr, coupons, couponCode, couponCodes,
+      renewal, importBatchId, deletedAt, deletedBy, ...changes
+    } = req.body;
+
     const updateData = {
-      ...req.body,
+      ...changes,
       updatedBy: req.user._id
     };
 
-    // Handle password encryption if provided
-    if (updateData.activation?.credentials?.password) {
-      const tempPurchase = new Purchase();
-      tempPurchase.setPassword(updateData.activation.credentials.password);
-      delete updateData.activation.credentials.password;
-      updateData.activation.credentials.passwordEncrypted = tempPurchase.activation.credentials.passwordEncrypted;
+    // Password changes are rotations so the previous credentials are kept
+    const newPassword = updateData.activation?.credentials?.password;
+
+    // Update activation field by field so the credential history is not overwritten
+    if (updateData.activation) {
+      const { credentials, ...activation } = updateData.activation;
+      delete updateData.activation;
+
+      Object.entries(activation).forEach(([key, value]) => {
+        updateData[`activation.${key}`] = value;
+      });
+
+      if (credentials?.username !== undefined && !newPassword) {
+        updateData['activation.credentials.username'] = credentials.username;
+      }
+    }
+
+    // Only the vendor's invoice reference is editable; its tax amounts are computed
+    if (updateData.vendorInvoice) {
+      updateData.vendorInvoice = Object.fromEntries(Object.entries(updateData.vendorInvoice)
+        .filter(([key]) => ['number', 'date'].includes(key)));
     }
 
-    const purchase = await Purchase.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate([
+    // Other nested groups are also merged so a partial body keeps the remaining fields
+    ['amounts', 'validity', 'warranty', 'people', 'vendorInvoice'].forEach((group) => {
+      if (!updateData[group]) return;
+      Object.entries(updateData[group]).forEach(([key, value]) => {
+        updateData[`${group}.${key}`] = value;
+      });
+      delete updateData[group];
+    });
+
+    // Save the document so derived fields (validity end, dues) are recomputed,
+    // then settle against the payments in the same transaction
+    const updated = await withTransaction(async () => {
+      const doc = await Purchase.findById(req.params.id);
+      if (!doc) return null;
+
+      doc.set(updateData);
+
+      // Rates are locked again only when a currency changes; tax follows the product rate,
+      // client's place of supply and totals
+      if (doc.isModified(FX_INPUT_PATHS)) await lockFxRates(doc);
+      if (doc.isModified([...GST_INPUT_PATHS, ...FX_INPUT_PATHS])) await applyGst(doc);
+      assertScheduleMatchesTotal(doc);
+
+      await doc.save();
+      return updatePurchaseSettlement(doc._id);
+    });
+
+    if (!updated) {
+      return res.status(404).json({
+        error: { code: 'PURCHASE_NOT_FOUND', message: 'Purchase not found' }
+      });
+    }
+
+    const purchase = await updated.populate([
       { path: 'clientId', select: 'name email phone' },
       { path: 'vendorId', select: 'name contactName' },
       { path: 'productId', select: 'name sku' },
       { path: 'updatedBy', select: 'name' }
     ]);
 
-    if (!purchase) {
-      return res.status(404).json({
-        error: { code: 'PURCHASE_NOT_FOUND', message: 'Purchase not found' }
+    if (newPassword) {
+      await rotateCredentials(purchase._id, {
+        username: req.body.activation.credentials.username,
+        password: newPassword
+      }, {
+        user: req.user,
+        reason: 'Updated via purchase edit',
+        ip: req.ip,
+        requestId: req.id
       });
     }
 
@@ -240,10 +314,253 @@ router.get('/:id/payments', async (req, res, next) => {
   }
 });
 
+// POST /api/v1/purchases/:id/credentials/reveal
+router.post('/:id/credentials/reveal', authorizeCredentials, revealLimiter, validate(RevealCredentialsSchema), async (req, res, next) => {
+  try {
+    const credentials = await revealCredentials(req.params.id, {
+      user: req.user,
+      reason: req.body.reason,
+      version: req.body.version,
+      ip: req.ip,
+      requestId: req.id
+    });
+
+    // Never cache decrypted secrets
+    res.set('Cache-Control', 'no-store');
+    res.json({ credentials });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/purchases/:id/credentials/rotate
+router.post('/:id/credentials/rotate', authorizeCredentials, validate(RotateCredentialsSchema), async (req, res, next) => {
+  try {
+    const { username, password, reason } = req.body;
+
+    const purchase = await rotateCredentials(req.params.id, { username, password }, {
+      user: req.user,
+      reason,
+      ip: req.ip,
+      requestId: req.id
+    });
+
+    res.json({
+      message: 'Credentials rotated successfully',
+      credentials: purchase.toJSON().activation.credentials
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/purchases/:id/credentials/access-log
+router.get('/:id/credentials/access-log', authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const logs = await CredentialAccessLog.find({ purchaseId: req.params.id })
+      .populate('userId', 'name email role')
+      .sort({ createdAt: -1 });
+
+    res.json({ logs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/purchases/:id/reminders
+router.get('/:id/reminders', async (req, res, next) => {
+  try {
+    const purchase = await Purchase.findById(req.params.id);
+    if (!purchase) {
+      return res.status(404).json({
+        error: { code: 'PURCHASE_NOT_FOUND', message: 'Purchase not found' }
+      });
+    }
+
+    const reminders = await Reminder.find({ purchaseId: req.params.id })
+      .sort({ scheduledFor: -1 });
+
+    res.json({ reminders });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/purchases/:id/{activate|complete|cancel|request-refund|refund|reject-refund}
+Object.entries(STATUS_ACTIONS).forEach(([action, { roles }]) => {
+  router.post(`/:id/${action}`, authorize(...roles), validate(PurchaseTransitionSchema), async (req, res, next) => {
+    try {
+      const purchase = await withTransaction(() => transitionPurchaseStatus(req.params.id, action, {
+        reason: req.body.reason,
+        user: req.user
+      }));
+
+      res.json({
+        message: `Purchase status changed to ${purchase.status}`,
+        status: purchase.status,
+        statusHistory: purchase.statusHistory
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+// GET /api/v1/purchases/:id/status-history
+router.get('/:id/status-history', async (req, res, next) => {
+  try {
+    const purchase = await Purchase.findById(req.params.id)
+      .select('orderId status statusHistory')
+      .populate('statusHistory.changedBy', 'name role');
+
+    if (!purchase) {
+      return res.status(404).json({
+        error: { code: 'PURCHASE_NOT_FOUND', message: 'Purchase not found' }
+      });
+    }
+
+    res.json({
+      orderId: purchase.orderId,
+      status: purchase.status,
+      statusHistory: purchase.statusHistory
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/purchases/:id/renew
+router.post('/:id/renew', authorize('admin', 'manager', 'sales'), validate(RenewPurchaseSchema), async (req, res, next) => {
+  try {
+    const purchase = await renewPurchase(req.params.id, req.body, req.user._id);
+
+    await purchase.populate([
+      { path: 'clientId', select: 'name email phone' },
+      { path: 'vendorId', select: 'name contactName' },
+      { path: 'productId', select: 'name sku' },
+      { path: 'createdBy', select: 'name' }
+    ]);
+
+    res.status(201).json({
+      message: 'Purchase renewed successfully',
+      purchase
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/purchases/:id/invoice.pdf - The invoice number is assigned on first download
+router.get('/:id/invoice.pdf', async (req, res, next) => {
+  try {
+    const purchase = await Purchase.findById(req.params.id)
+      .populate('clientId', 'name email phone gstin')
+      .populate('productId', 'name sku');
+
+    if (!purchase) {
+      return res.status(404).json({
+        error: { code: 'PURCHASE_NOT_FOUND', message: 'Purchase not found' }
+      });
+    }
+
+    if (!purchase.invoice?.number && INACTIVE_STATUSES.includes(purchase.status)) {
+      return res.status(400).json({
+        error: { code: 'INVOICE_NOT_AVAILABLE', message: `No invoice is issued for ${purchase.status} purchases` }
+      });
+    }
+
+    await withTransaction(() => issueInvoiceNumber(purchase));
+
+    const business = await getBusinessProfile({ withLogo: true });
+    renderInvoicePdf(res, purchase, business);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('❌ Invoice failed mid-stream:', error.message);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+// GET /api/v1/purchases/:id/schedule
+router.get('/:id/schedule', async (req, res, next) => {
+  try {
+    const purchase = await Purchase.findById(req.params.id)
+      .select('orderId amounts.clientPayTotalPaise settlement paymentSchedule');
+
+    if (!purchase) {
+      return res.status(404).json({
+        error: { code: 'PURCHASE_NOT_FOUND', message: 'Purchase not found' }
+      });
+    }
+
+    const now = new Date();
+    const overduePaise = purchase.paymentSchedule
+      .filter(installment => installment.dueDate < now)
+      .reduce((sum, installment) => sum + installment.amountPaise - installment.paidPaise, 0);
+
+    res.json({
+      orderId: purchase.orderId,
+      clientPayTotalPaise: purchase.amounts.clientPayTotalPaise,
+      clientPaidPaise: purchase.settlement.clientPaidPaise,
+      overduePaise,
+      installments: purchase.paymentSchedule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/v1/purchases/:id/schedule - Replace the installment plan
+router.put('/:id/schedule', authorize('admin', 'manager', 'sales', 'finance'), validate(PaymentScheduleSchema), async (req, res, next) => {
+  try {
+    const data = { intervalMonths: 1, ...req.body };
+    const purchase = await withTransaction(() => setPaymentSchedule(req.params.id, data, req.user._id));
+
+    res.json({
+      message: 'Payment schedule saved',
+      installments: purchase.paymentSchedule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/purchases/:id/schedule
+router.delete('/:id/schedule', authorize('admin', 'manager', 'sales', 'finance'), async (req, res, next) => {
+  try {
+    await clearPaymentSchedule(req.params.id, req.user._id);
+
+    res.json({ message: 'Payment schedule removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/purchases/:id/renewals
+router.get('/:id/renewals', async (req, res, next) => {
+  try {
+    const chain = await getRenewalChain(req.params.id);
+    if (!chain) {
+      return res.status(404).json({
+        error: { code: 'PURCHASE_NOT_FOUND', message: 'Purchase not found' }
+      });
+    }
+
+    res.json({
+      rootPurchaseId: chain[0]?._id,
+      renewals: chain.length - 1,
+      chain
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // DELETE /api/v1/purchases/:id
 router.delete('/:id', authorize('admin', 'manager'), async (req, res, next) => {
   try {
-    const purchase = await Purchase.findByIdAndDelete(req.params.id);
+    const purchase = await Purchase.findById(req.params.id);
 
     if (!purchase) {
       return res.status(404).json({
@@ -251,10 +568,10 @@ router.delete('/:id', authorize('admin', 'manager'), async (req, res, next) => {
       });
     }
 
-    // Also delete associated payments
-    await Payment.deleteMany({ purchaseId: req.params.id });
+    // Moves the purchase and its payments to the trash
+    await withTransaction(() => softDeletePurchase(purchase, req.user._id));
 
-    res.json({ message: 'Purchase deleted successfully' });
+    res.json({ message: 'Purchase moved to trash' });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,211 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Receipt from '../models/Receipt.js';
+import Client from '../models/Client.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { CreateReceiptSchema, UpdateReceiptSchema, AllocateReceiptSchema } from '../validators/schemas.js';
+import {
+  createReceipt,
+  updateReceipt,
+  allocateReceipt,
+  removeAllocation,
+  getOutstandingPurchases
+} from '../services/receiptService.js';
+import { softDeleteReceipt } from '../services/trashService.js';
+import { dateRange } from '../utils/filters.js';
+import { withTransaction } from '../utils/transaction.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const findReceipt = (id) => Receipt.findById(id);
+
+const populateReceipt = (receipt) => receipt.populate([
+  { path: 'clientId', select: 'name phone' },
+  { path: 'allocations.purchaseId', select: 'orderId purchaseDate settlement' },
+  { path: 'createdBy', select: 'name' }
+]);
+
+const receiptNotFound = (res) => res.status(404).json({
+  error: { code: 'RECEIPT_NOT_FOUND', message: 'Receipt not found' }
+});
+
+// GET /api/v1/receipts
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, clientId, unallocated, from, to } = req.query;
+
+    let query = {};
+    if (clientId) query.clientId = clientId;
+
+    // Receipts with money still waiting to be allocated
+    if (unallocated === 'true') query.unallocatedPaise = { $gt: 0 };
+
+    // Date range filter
+    const receivedOn = dateRange(from, to);
+    if (receivedOn) query.receivedOn = receivedOn;
+
+    const receipts = await Receipt.find(query)
+      .populate('clientId', 'name phone')
+      .populate('createdBy', 'name')
+      .sort({ receivedOn: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Receipt.countDocuments(query);
+
+    // Aggregations do not cast IDs
+    const match = clientId ? { ...query, clientId: new mongoose.Types.ObjectId(clientId) } : query;
+    const [totals] = await Receipt.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          amountPaise: { $sum: '$amountPaise' },
+          allocatedPaise: { $sum: '$allocatedPaise' },
+          unallocatedPaise: { $sum: '$unallocatedPaise' }
+        }
+      }
+    ]);
+
+    res.json({
+      receipts,
+      totals: totals || { amountPaise: 0, allocatedPaise: 0, unallocatedPaise: 0 },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/receipts
+router.post('/', authorize('admin', 'manager', 'sales', 'finance'), validate(CreateReceiptSchema), async (req, res, next) => {
+  try {
+    const clientExists = await Client.exists({ _id: req.body.clientId });
+    if (!clientExists) {
+      return res.status(404).json({
+        error: { code: 'CLIENT_NOT_FOUND', message: 'Client not found' }
+      });
+    }
+
+    const receipt = await withTransaction(() => createReceipt(req.body, req.user._id));
+    await populateReceipt(receipt);
+
+    res.status(201).json({
+      message: 'Receipt created successfully',
+      receipt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/receipts/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt) return receiptNotFound(res);
+
+    await populateReceipt(receipt);
+
+    res.json({ receipt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/receipts/:id/outstanding - Purchases the remainder could go to, oldest first
+router.get('/:id/outstanding', async (req, res, next) => {
+  try {
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt) return receiptNotFound(res);
+
+    const purchases = await getOutstandingPurchases(receipt.clientId);
+
+    res.json({
+      unallocatedPaise: receipt.unallocatedPaise,
+      purchases
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/v1/receipts/:id
+router.patch('/:id', authorize('admin', 'manager', 'finance'), validate(UpdateReceiptSchema), async (req, res, next) => {
+  try {
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt) return receiptNotFound(res);
+
+    await withTransaction(() => updateReceipt(receipt, req.body));
+    await populateReceipt(receipt);
+
+    res.json({
+      message: 'Receipt updated successfully',
+      receipt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/receipts/:id/allocate - Allocate the remainder (auto when no lines are given)
+router.post('/:id/allocate', authorize('admin', 'manager', 'finance'), validate(AllocateReceiptSchema), async (req, res, next) => {
+  try {
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt) return receiptNotFound(res);
+
+    await withTransaction(() => allocateReceipt(receipt, req.body.allocations, req.user._id));
+    await populateReceipt(receipt);
+
+    res.json({
+      message: 'Receipt allocated successfully',
+      receipt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/receipts/:id/allocations/:purchaseId
+router.delete('/:id/allocations/:purchaseId', authorize('admin', 'manager', 'finance'), async (req, res, next) => {
+  try {
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt) return receiptNotFound(res);
+
+    await withTransaction(() => removeAllocation(receipt, req.params.purchaseId, req.user._id));
+    await populateReceipt(receipt);
+
+    res.json({
+      message: 'Allocation removed successfully',
+      receipt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/receipts/:id
+router.delete('/:id', authorize('admin', 'manager', 'finance'), async (req, res, next) => {
+  try {
+    const receipt = await findReceipt(req.params.id);
+    if (!receipt) return receiptNotFound(res);
+
+    // Moves the receipt and its payments to the trash and updates purchase settlements
+    await withTransaction(() => softDeleteReceipt(receipt, req.user._id));
+
+    res.json({ message: 'Receipt moved to trash' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
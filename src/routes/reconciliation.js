@@ -0,0 +1,343 @@
+import express from 'express';
+import multer from 'multer';
+import BankStatement from '../models/BankStatement.js';
+import StatementLine from '../models/StatementLine.js';
+import StatementProfile from '../models/StatementProfile.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  StatementProfileSchema,
+  ConfirmStatementLineSchema,
+  StatementLinePaymentSchema
+} from '../validators/schemas.js';
+import {
+  importStatement,
+  matchStatement,
+  getStatementSummary,
+  getUnreconciledPayments,
+  confirmLine,
+  createPaymentFromLine,
+  ignoreLine,
+  unmatchLine
+} from '../services/reconciliationService.js';
+import { withTransaction } from '../utils/transaction.js';
+
+const router = express.Router();
+
+// Configure multer for in-memory CSV uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+// All routes require finance access
+router.use(authenticate, authorize('admin', 'manager', 'finance'));
+
+const findStatement = async (req, res) => {
+  const statement = await BankStatement.findById(req.params.id);
+  if (!statement) {
+    res.status(404).json({
+      error: { code: 'STATEMENT_NOT_FOUND', message: 'Statement not found' }
+    });
+  }
+  return statement;
+};
+
+const findLine = async (req, res) => {
+  const line = await StatementLine.findById(req.params.lineId);
+  if (!line) {
+    res.status(404).json({
+      error: { code: 'LINE_NOT_FOUND', message: 'Statement line not found' }
+    });
+  }
+  return line;
+};
+
+// GET /api/v1/reconciliation/profiles
+router.get('/profiles', async (req, res, next) => {
+  try {
+    const profiles = await StatementProfile.find().sort({ name: 1 });
+    res.json({ profiles });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/reconciliation/profiles
+router.post('/profiles', validate(StatementProfileSchema), async (req, res, next) => {
+  try {
+    const profile = await StatementProfile.create({ ...req.body, createdBy: req.user._id });
+
+    res.status(201).json({
+      message: 'Statement profile created successfully',
+      profile
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/v1/reconciliation/profiles/:id
+router.patch('/profiles/:id', validate(StatementProfileSchema.partial()), async (req, res, next) => {
+  try {
+    const profile = await StatementProfile.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!profile) {
+      return res.status(404).json({
+        error: { code: 'PROFILE_NOT_FOUND', message: 'Statement profile not found' }
+      });
+    }
+
+    res.json({
+      message: 'Statement profile updated successfully',
+      profile
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/reconciliation/profiles/:id
+router.delete('/profiles/:id', async (req, res, next) => {
+  try {
+    const profile = await StatementProfile.findByIdAndDelete(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        error: { code: 'PROFILE_NOT_FOUND', message: 'Statement profile not found' }
+      });
+    }
+
+    res.json({ message: 'Statement profile deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/reconciliation/statements
+router.get('/statements', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const statements = await BankStatement.find()
+      .populate('profileId', 'name')
+      .populate('uploadedBy', 'name')
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await BankStatement.countDocuments();
+
+    res.json({
+      statements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/reconciliation/statements?profileId= - Upload and auto-match a statement
+router.post('/statements', upload.single('file'), async (req, res, next) => {
+  try {
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    const profileId = req.query.profileId || req.body.profileId;
+
+    if (!csvText) {
+      return res.status(400).json({
+        error: { code: 'NO_FILE', message: 'Upload a CSV file or send its content as csv' }
+      });
+    }
+
+    if (!profileId) {
+      return res.status(400).json({
+        error: { code: 'PROFILE_REQUIRED', message: 'profileId is required to read the statement' }
+      });
+    }
+
+    const result = await importStatement(csvText, {
+      profileId,
+      filename: req.file?.originalname,
+      userId: req.user._id
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/reconciliation/statements/:id
+router.get('/statements/:id', async (req, res, next) => {
+  try {
+    const statement = await findStatement(req, res);
+    if (!statement) return;
+
+    await statement.populate([
+      { path: 'profileId', select: 'name' },
+      { path: 'uploadedBy', select: 'name' }
+    ]);
+
+    res.json({
+      statement,
+      summary: await getStatementSummary(statement)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/reconciliation/statements/:id/lines?status=MATCHED|SUSPICIOUS|UNMATCHED|CONFIRMED|IGNORED
+router.get('/statements/:id/lines', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+
+    let query = { statementId: req.params.id };
+    if (status) query.status = status;
+
+    const lines = await StatementLine.find(query)
+      .populate({
+        path: 'paymentId',
+        select: 'type amountPaise paidOn method reference purchaseId',
+        populate: { path: 'purchaseId', select: 'orderId' }
+      })
+      .populate('candidateIds', 'type amountPaise paidOn reference purchaseId')
+      .sort({ row: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await StatementLine.countDocuments(query);
+
+    res.json({
+      lines,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/reconciliation/statements/:id/unreconciled-payments - Recorded but not on the statement
+router.get('/statements/:id/unreconciled-payments', async (req, res, next) => {
+  try {
+    const statement = await findStatement(req, res);
+    if (!statement) return;
+
+    const payments = await getUnreconciledPayments(statement);
+
+    res.json({ payments });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/reconciliation/statements/:id/rematch - Re-run matching for open lines
+router.post('/statements/:id/rematch', async (req, res, next) => {
+  try {
+    const statement = await findStatement(req, res);
+    if (!statement) return;
+
+    await matchStatement(statement._id);
+
+    res.json({
+      message: 'Statement re-matched',
+      summary: await getStatementSummary(statement)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/reconciliation/lines/:lineId/confirm
+router.post('/lines/:lineId/confirm', validate(ConfirmStatementLineSchema), async (req, res, next) => {
+  try {
+    const line = await findLine(req, res);
+    if (!line) return;
+
+    const confirmed = await withTransaction(() => confirmLine(line, req.body.paymentId, req.user._id));
+
+    res.json({
+      message: 'Match confirmed',
+      line: confirmed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/reconciliation/lines/:lineId/payment - Record the missing payment from the line
+router.post('/lines/:lineId/payment', validate(StatementLinePaymentSchema), async (req, res, next) => {
+  try {
+    const line = await findLine(req, res);
+    if (!line) return;
+
+    const result = await withTransaction(() => createPaymentFromLine(line, req.body, req.user._id));
+
+    res.status(201).json({
+      message: 'Payment created from statement line',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/reconciliation/lines/:lineId/ignore
+router.post('/lines/:lineId/ignore', async (req, res, next) => {
+  try {
+    const line = await findLine(req, res);
+    if (!line) return;
+
+    await ignoreLine(line, req.user._id);
+
+    res.json({
+      message: 'Line ignored',
+      line
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/reconciliation/lines/:lineId/unmatch
+router.post('/lines/:lineId/unmatch', async (req, res, next) => {
+  try {
+    const line = await findLine(req, res);
+    if (!line) return;
+
+    await withTransaction(() => unmatchLine(line));
+
+    res.json({
+      message: 'Line unmatched',
+      line
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,59 @@
+import express from 'express';
+import Reminder from '../models/Reminder.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { runReminderCycle } from '../services/reminderService.js';
+import { getNotifier } from '../notifiers/index.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/v1/reminders
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, kind, purchaseId } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+    if (kind) query.kind = kind;
+    if (purchaseId) query.purchaseId = purchaseId;
+
+    const reminders = await Reminder.find(query)
+      .populate('purchaseId', 'orderId clientId productId')
+      .sort({ scheduledFor: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Reminder.countDocuments(query);
+
+    res.json({
+      reminders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/reminders/run - Trigger a reminder cycle immediately
+router.post('/run', authorize('admin', 'manager'), async (req, res, next) => {
+  try {
+    const { notifier } = req.body;
+    const summary = await runReminderCycle(getNotifier(notifier));
+
+    res.json({
+      message: 'Reminder run completed',
+      summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,104 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { BusinessProfileSchema } from '../validators/schemas.js';
+import { getBusinessProfile, updateBusinessProfile, setBusinessLogo } from '../services/invoiceService.js';
+
+const router = express.Router();
+
+const LOGO_TYPES = ['image/png', 'image/jpeg'];
+
+// Configure multer for in-memory logo uploads; PDFs embed PNG and JPEG only
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 512 * 1024 // 512KB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (LOGO_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG and JPEG logos are allowed'), false);
+    }
+  }
+});
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/v1/settings/business
+router.get('/business', authorize('admin', 'manager', 'finance'), async (req, res, next) => {
+  try {
+    const business = await getBusinessProfile();
+    res.json({ business });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/v1/settings/business
+router.patch('/business', authorize('admin'), validate(BusinessProfileSchema), async (req, res, next) => {
+  try {
+    const { logo, updatedBy, ...fields } = req.body;
+    const business = await updateBusinessProfile(fields, req.user._id);
+
+    res.json({
+      message: 'Business details updated successfully',
+      business
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/settings/business/logo
+router.get('/business/logo', authorize('admin', 'manager', 'finance'), async (req, res, next) => {
+  try {
+    const business = await getBusinessProfile({ withLogo: true });
+
+    if (!business.logo?.data) {
+      return res.status(404).json({
+        error: { code: 'LOGO_NOT_FOUND', message: 'No logo has been uploaded' }
+      });
+    }
+
+    res.setHeader('Content-Type', business.logo.contentType);
+    res.send(business.logo.data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/v1/settings/business/logo - multipart upload with field "file"
+router.put('/business/logo', authorize('admin'), upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: { code: 'NO_FILE', message: 'Upload a PNG or JPEG file' }
+      });
+    }
+
+    const business = await setBusinessLogo({ data: req.file.buffer, contentType: req.file.mimetype }, req.user._id);
+
+    res.json({
+      message: 'Logo updated successfully',
+      business
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/settings/business/logo
+router.delete('/business/logo', authorize('admin'), async (req, res, next) => {
+  try {
+    await setBusinessLogo(null, req.user._id);
+
+    res.json({ message: 'Logo removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { getGstr1Report, getItcReport } from '../services/taxService.js';
+
+const router = express.Router();
+
+// All routes require finance access
+router.use(authenticate, authorize('admin', 'manager', 'finance'));
+
+// GET /api/v1/tax/gstr1?month=YYYY-MM - Outward supplies
+router.get('/gstr1', async (req, res, next) => {
+  try {
+    const report = await getGstr1Report(req.query.month);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/v1/tax/itc?month=YYYY-MM - Input tax credit from vendor invoices
+router.get('/itc', async (req, res, next) => {
+  try {
+    const report = await getItcReport(req.query.month);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
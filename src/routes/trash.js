@@ -0,0 +1,97 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  TRASH_MODELS,
+  getRetentionDays,
+  restoreFromTrash,
+  purgeFromTrash,
+  purgeExpiredTrash
+} from '../services/trashService.js';
+import { withTransaction } from '../utils/transaction.js';
+
+const router = express.Router();
+
+// All routes require an authenticated admin
+router.use(authenticate, authorize('admin'));
+
+// GET /api/v1/trash/:entity
+router.get('/:entity', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const Model = TRASH_MODELS[req.params.entity];
+
+    if (!Model) {
+      return res.status(400).json({
+        error: { code: 'INVALID_ENTITY', message: `Entity must be one of: ${Object.keys(TRASH_MODELS).join(', ')}` }
+      });
+    }
+
+    const query = { deletedAt: { $ne: null } };
+
+    const items = await Model.find(query)
+      .populate('deletedBy', 'name')
+      .sort({ deletedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Model.countDocuments(query);
+    const retentionDays = getRetentionDays();
+
+    res.json({
+      items: items.map(item => ({
+        ...item.toJSON(), // toJSON strips encrypted credentials
+        purgeableAfter: new Date(item.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+      })),
+      retentionDays,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/trash/purge - Purge everything past the retention period
+router.post('/purge', async (req, res, next) => {
+  try {
+    const purged = await purgeExpiredTrash();
+
+    res.json({
+      message: 'Expired trash purged successfully',
+      purged
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/v1/trash/:entity/:id/restore
+router.post('/:entity/:id/restore', async (req, res, next) => {
+  try {
+    const item = await withTransaction(() => restoreFromTrash(req.params.entity, req.params.id));
+
+    res.json({
+      message: 'Item restored successfully',
+      item
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/v1/trash/:entity/:id - Permanently delete
+router.delete('/:entity/:id', async (req, res, next) => {
+  try {
+    await purgeFromTrash(req.params.entity, req.params.id);
+
+    res.json({ message: 'Item permanently deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -5,6 +5,7 @@ import Payment from '../models/Payment.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { validate } from '../middleware/validate.js';
 import { CreateVendorSchema, UpdateVendorSchema } from '../validators/schemas.js';
+import { inrAmount, inrAtRate, PAYMENT_INR } from '../services/fxService.js';
 
 const router = express.Router();
 
@@ -87,7 +88,7 @@ router.get('/:id/summary', async (req, res, next) => {
       });
     }
 
-    // Get vendor statistics
+    // Get vendor statistics, in INR
     const [purchaseStats, paymentStats] = await Promise.all([
       Purchase.aggregate([
         { $match: { vendorId: vendor._id } },
@@ -95,8 +96,8 @@ router.get('/:id/summary', async (req, res, next) => {
           $group: {
             _id: null,
             totalPurchases: { $sum: 1 },
-            totalPayoutPaise: { $sum: '$amounts.vendorPayTotalPaise' },
-            totalDuePaise: { $sum: '$settlement.vendorDuePaise' }
+            totalPayoutPaise: { $sum: inrAmount('vendorPayTotalPaise') },
+            totalDuePaise: { $sum: inrAtRate('$settlement.vendorDuePaise', '$fx.vendorRate') }
           }
         }
       ]),
@@ -110,11 +111,14 @@ router.get('/:id/summary', async (req, res, next) => {
           }
         },
         { $unwind: '$purchase' },
-        { $match: { 'purchase.vendorId': vendor._id, type: 'VENDOR' } },
+        { $match: { 'purchase.vendorId': vendor._id, type: { $in: ['VENDOR', 'VENDOR_REFUND'] } } },
         {
           $group: {
             _id: null,
-            totalPaidPaise: { $sum: '$amountPaise' }
+            // Money recovered from the vendor offsets what was paid
+            totalPaidPaise: {
+              $sum: { $cond: [{ $eq: ['$type', 'VENDOR_REFUND'] }, { $multiply: [PAYMENT_INR, -1] }, PAYMENT_INR] }
+            }
           }
         }
       ])
@@ -164,7 +168,7 @@ router.patch('/:id', authorize('admin', 'manager'), validate(UpdateVendorSchema)
 // DELETE /api/v1/vendors/:id
 router.delete('/:id', authorize('admin', 'manager'), async (req, res, next) => {
   try {
-    const vendor = await Vendor.findByIdAndDelete(req.params.id);
+    const vendor = await Vendor.findById(req.params.id);
 
     if (!vendor) {
       return res.status(404).json({
@@ -172,7 +176,9 @@ router.delete('/:id', authorize('admin', 'manager'), async (req, res, next) => {
       });
     }
 
-    res.json({ message: 'Vendor deleted successfully' });
+    await vendor.softDelete(req.user._id);
+
+    res.json({ message: 'Vendor moved to trash' });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,52 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { findSettlementDrift, updatePurchaseSettlement } from '../services/purchaseService.js';
+
+dotenv.config();
+
+// Usage: npm run check:settlements [-- --fix]
+const fix = process.argv.includes('--fix');
+
+const rupees = (paise) => (paise / 100).toFixed(2);
+
+const checkSettlements = async () => {
+  try {
+    console.log(`🧮 Checking purchase settlements against payments${fix ? ' and repairing drift' : ''}...`);
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    const drift = await findSettlementDrift();
+    let repaired = 0;
+
+    for (const { purchaseId, orderId, stored, expected } of drift) {
+      const changes = Object.keys(expected)
+        .filter(field => (stored[field] || 0) !== expected[field])
+        .map(field => `${field} ${rupees(stored[field] || 0)} → ${rupees(expected[field])}`);
+
+      console.log(`⚠️  ${orderId}: ${changes.join(', ')}`);
+
+      if (fix) {
+        await updatePurchaseSettlement(purchaseId);
+        repaired++;
+      }
+    }
+
+    if (drift.length === 0) {
+      console.log('✅ All settlements match their payments');
+    } else if (fix) {
+      console.log(`✅ Repaired ${repaired} of ${drift.length} purchases`);
+    } else {
+      console.log(`❌ ${drift.length} purchases have drifted; run with --fix to repair them`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Settlement check error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('📦 Database connection closed');
+  }
+};
+
+checkSettlements();
@@ -0,0 +1,73 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Purchase from '../models/Purchase.js';
+import { encrypt, decrypt, needsReencryption, getCurrentKeyId } from '../utils/crypto.js';
+
+dotenv.config();
+
+// Usage: npm run reencrypt [-- --dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+const reencryptCredentials = async () => {
+  try {
+    console.log(`🔐 Re-encrypting credentials with key "${getCurrentKeyId()}"${dryRun ? ' (dry run)' : ''}...`);
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    // Use the raw collection so trashed purchases are migrated too
+    const cursor = Purchase.collection.find(
+      {
+        $or: [
+          { 'activation.credentials.passwordEncrypted': { $exists: true, $ne: null } },
+          { 'activation.credentials.history.passwordEncrypted': { $exists: true, $ne: null } }
+        ]
+      },
+      { projection: { orderId: 1, 'activation.credentials': 1 } }
+    );
+
+    let scanned = 0;
+    let updated = 0;
+    let failed = 0;
+
+    for await (const purchase of cursor) {
+      scanned++;
+      const credentials = purchase.activation.credentials;
+      const set = {};
+
+      try {
+        if (needsReencryption(credentials.passwordEncrypted)) {
+          set['activation.credentials.passwordEncrypted'] = encrypt(decrypt(credentials.passwordEncrypted));
+        }
+
+        (credentials.history || []).forEach((entry, index) => {
+          if (needsReencryption(entry.passwordEncrypted)) {
+            set[`activation.credentials.history.${index}.passwordEncrypted`] = encrypt(decrypt(entry.passwordEncrypted));
+          }
+        });
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${purchase.orderId}: ${error.message}`);
+        continue;
+      }
+
+      if (Object.keys(set).length === 0) continue;
+
+      if (!dryRun) {
+        await Purchase.collection.updateOne({ _id: purchase._id }, { $set: set });
+      }
+      updated++;
+    }
+
+    console.log(`✅ Scanned ${scanned}, ${dryRun ? 'would re-encrypt' : 're-encrypted'} ${updated}, failed ${failed}`);
+    if (failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error('❌ Re-encryption error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('📦 Database connection closed');
+  }
+};
+
+reencryptCredentials();
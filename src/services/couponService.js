@@ -0,0 +1,427 @@
+import crypto from 'crypto';
+import Coupon from '../models/Coupon.js';
+import CouponCampaign from '../models/CouponCampaign.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Client from '../models/Client.js';
+import Purchase from '../models/Purchase.js';
+import Product from '../models/Product.js';
+import Counter from '../models/Counter.js';
+import { BASE_CURRENCY } from './fxService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Whether a coupon limited to a product or product categories covers the product
+const appliesToProduct = async (coupon, productId) => {
+  if (coupon.productId?.equals(productId)) return true;
+  if (!coupon.categories?.length) return false;
+
+  const product = await Product.findById(productId).select('category');
+  return Boolean(product?.category && coupon.categories.includes(product.category));
+};
+
+/**
+ * Find why a coupon cannot be used by a client on a product.
+ * Client rules (uses per client, first purchase only, eligible tags) need a clientId;
+ * the minimum order is only checked when an amount is given.
+ * @param {Object} coupon - Coupon document
+ * @param {Object} context - { productId, clientId, amountPaise }
+ * @returns {Object|null} { code, message } of the first failed rule, or null when the coupon applies
+ */
+export const getCouponRejection = async (coupon, { productId, clientId, amountPaise } = {}) => {
+  const invalid = coupon.invalidReason();
+  if (invalid) return invalid;
+
+  const limitedToProducts = coupon.productId || coupon.categories?.length > 0;
+  if (limitedToProducts && productId && !(await appliesToProduct(coupon, productId))) {
+    return { code: 'COUPON_NOT_APPLICABLE', message: 'Coupon does not apply to this product' };
+  }
+
+  if (coupon.minOrderPaise && amountPaise !== undefined && amountPaise < coupon.minOrderPaise) {
+    return {
+      code: 'MIN_ORDER_NOT_MET',
+      message: `Coupon needs an order of at least ${coupon.minOrderPaise} paise`
+    };
+  }
+
+  const hasClientRules = coupon.maxUsesPerClient || coupon.firstPurchaseOnly || coupon.eligibleTags?.length > 0;
+  if (!hasClientRules) return null;
+
+  if (!clientId) {
+    return { code: 'CLIENT_REQUIRED', message: 'Coupon has client rules; a client is needed to check it' };
+  }
+
+  if (coupon.eligibleTags?.length > 0) {
+    const client = await Client.findById(clientId).select('tags');
+    if (!client) return { code: 'CLIENT_NOT_FOUND', message: 'Client not found' };
+    if (!client.tags.some(tag => coupon.eligibleTags.includes(tag))) {
+      return {
+        code: 'CLIENT_NOT_ELIGIBLE',
+        message: `Coupon is only for clients tagged ${coupon.eligibleTags.join(', ')}`
+      };
+    }
+  }
+
+  if (coupon.firstPurchaseOnly) {
+    const hasPurchased = await Purchase.exists({ clientId, status: { $ne: 'CANCELLED' } });
+    if (hasPurchased) {
+      return { code: 'FIRST_PURCHASE_ONLY', message: 'Coupon is only valid on a client\'s first purchase' };
+    }
+  }
+
+  if (coupon.maxUsesPerClient) {
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, clientId, status: 'APPLIED' });
+    if (used >= coupon.maxUsesPerClient) {
+      return {
+        code: 'CLIENT_LIMIT_REACHED',
+        message: `Client has already used this coupon ${used} time${used === 1 ? '' : 's'}`
+      };
+    }
+  }
+
+  return null;
+};
+
+// Uses of a coupon by one client, counted so concurrent purchases cannot both pass the client limit
+const clientUseCounter = (couponId, clientId) => `coupon-client:${couponId}:${clientId}`;
+
+// A first purchase coupon can only be used once by a client
+const clientUseLimit = (coupon) => (coupon.firstPurchaseOnly ? 1 : coupon.maxUsesPerClient);
+
+/**
+ * Claim one of the client's uses of a coupon; getCouponRejection only reads the count,
+ * this conditional increment is what holds under concurrent purchases
+ * @param {Object} coupon - Coupon document
+ * @param {string} clientId - Client ID
+ */
+const claimClientUse = async (coupon, clientId) => {
+  const limit = clientUseLimit(coupon);
+  if (!limit) return;
+
+  const name = clientUseCounter(coupon._id, clientId);
+
+  // Start from the client's applied redemptions the first time the counter is used
+  const exists = await Counter.exists({ _id: name });
+  if (!exists) {
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, clientId, status: 'APPLIED' });
+    try {
+      await Counter.updateOne({ _id: name }, { $setOnInsert: { seq: used } }, { upsert: true });
+    } catch (error) {
+      // Another request created the counter first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const claimed = await Counter.findOneAndUpdate({ _id: name, seq: { $lt: limit } }, { $inc: { seq: 1 } });
+  if (!claimed) {
+    throw httpError(409, 'CLIENT_LIMIT_REACHED', `Client has no uses of coupon ${coupon.code} left`);
+  }
+};
+
+const releaseClientUse = (couponId, clientId) => Counter.updateOne(
+  { _id: clientUseCounter(couponId, clientId), seq: { $gt: 0 } },
+  { $inc: { seq: -1 } }
+);
+
+// INR amounts on a coupon cannot be applied to purchases billed in other currencies
+const hasInrAmounts = (coupon) => coupon.discountType === 'FLAT' || Boolean(coupon.minOrderPaise || coupon.maxDiscountPaise);
+
+/**
+ * Check the stacking policy of coupons used together
+ * @param {Array} coupons - Coupon documents
+ * @returns {Object|null} { code, message } when they cannot be combined, or null
+ */
+export const getStackingRejection = (coupons) => {
+  if (coupons.length < 2) return null;
+
+  const exclusive = coupons.find(coupon => coupon.stacking !== 'STACKABLE');
+  if (exclusive) {
+    return { code: 'COUPONS_NOT_STACKABLE', message: `Coupon ${exclusive.code} cannot be combined with other coupons` };
+  }
+  return null;
+};
+
+/**
+ * Work out the discounts of coupons applied in order: each one discounts what is left
+ * after the ones before it, and minimum orders are checked against the full amount.
+ * @param {Array} coupons - Coupon documents, in the order they are applied
+ * @param {number} amountPaise - Order amount before any coupon
+ * @returns {Object} { lines: [{ coupon, amountPaise, discountPaise }], discountPaise, totalPaise }
+ */
+export const computeStackedDiscount = (coupons, amountPaise) => {
+  let remaining = amountPaise;
+
+  const lines = coupons.map((coupon) => {
+    const discountPaise = coupon.calculateDiscount(remaining, amountPaise);
+    const line = { coupon, amountPaise: remaining, discountPaise };
+    remaining -= discountPaise;
+    return line;
+  });
+
+  return { lines, discountPaise: amountPaise - remaining, totalPaise: remaining };
+};
+
+/**
+ * Apply coupons to a new purchase: check them, claim one use of each and record the redemptions.
+ * The client total is taken as the price before the coupons and is reduced by the discount.
+ * Call inside a transaction with the purchase save so a failed save releases the uses.
+ * @param {Object} purchase - Unsaved purchase document (updated in place)
+ * @param {Array<string>} codes - Coupon codes, in the order they are applied
+ * @param {string} userId - Acting user
+ * @returns {Array} CouponRedemptions
+ */
+export const redeemCoupons = async (purchase, codes, userId) => {
+  const normalized = codes.map(code => code.trim().toUpperCase());
+  const duplicate = normalized.find((code, index) => normalized.indexOf(code) !== index);
+  if (duplicate) {
+    throw httpError(422, 'DUPLICATE_COUPON', `Coupon ${duplicate} is given more than once`);
+  }
+
+  const coupons = [];
+  for (const code of normalized) {
+    const coupon = await Coupon.findOne({ code });
+    if (!coupon) {
+      throw httpError(404, 'COUPON_NOT_FOUND', `Coupon ${code} not found`);
+    }
+    coupons.push(coupon);
+  }
+
+  const stackingRejection = getStackingRejection(coupons);
+  if (stackingRejection) {
+    throw httpError(422, stackingRejection.code, stackingRejection.message);
+  }
+
+  const orderAmountPaise = purchase.amounts.clientPayTotalPaise;
+  const currency = purchase.amounts.currency || BASE_CURRENCY;
+
+  for (const coupon of coupons) {
+    const rejection = await getCouponRejection(coupon, {
+      productId: purchase.productId,
+      clientId: purchase.clientId,
+      amountPaise: orderAmountPaise
+    });
+    if (rejection) {
+      throw httpError(422, rejection.code, `${coupon.code}: ${rejection.message}`);
+    }
+
+    if (hasInrAmounts(coupon) && currency !== BASE_CURRENCY) {
+      throw httpError(422, 'CURRENCY_MISMATCH', `${coupon.code} has INR amounts but this purchase is billed in ${currency}`);
+    }
+  }
+
+  const { lines, discountPaise, totalPaise } = computeStackedDiscount(coupons, orderAmountPaise);
+  const redemptions = [];
+
+  for (const line of lines) {
+    // Claim a use only while one is left, so concurrent purchases cannot exceed maxUses
+    const claimed = await Coupon.findOneAndUpdate(
+      {
+        _id: line.coupon._id,
+        isActive: true,
+        $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw httpError(409, 'COUPON_EXHAUSTED', `Coupon ${line.coupon.code} has no uses left`);
+    }
+
+    await claimClientUse(claimed, purchase.clientId);
+
+    redemptions.push(await CouponRedemption.create({
+      couponId: line.coupon._id,
+      code: line.coupon.code,
+      purchaseId: purchase._id,
+      clientId: purchase.clientId,
+      orderAmountPaise: line.amountPaise,
+      discountPaise: line.discountPaise,
+      currency,
+      createdBy: userId
+    }));
+  }
+
+  purchase.amounts.discountPaise = discountPaise;
+  purchase.amounts.clientPayTotalPaise = totalPaise;
+  purchase.coupons = lines.map((line, index) => ({
+    couponId: line.coupon._id,
+    code: line.coupon.code,
+    discountPaise: line.discountPaise,
+    redemptionId: redemptions[index]._id
+  }));
+
+  return redemptions;
+};
+
+/**
+ * Reverse the applied redemptions of a purchase and give the uses back to the coupons.
+ * The purchase keeps its discount as a record of what was billed.
+ * @param {string} purchaseId - Purchase ID
+ * @param {Object} options - { reason, userId, reversedAt (default now) }
+ * @returns {Array} Reversed redemptions
+ */
+export const reverseRedemptions = async (purchaseId, { reason, userId, reversedAt = new Date() }) => {
+  const reversed = [];
+
+  // One at a time so a concurrent reversal cannot give a use back twice
+  let redemption;
+  while ((redemption = await CouponRedemption.findOneAndUpdate(
+    { purchaseId, status: 'APPLIED' },
+    { $set: { status: 'REVERSED', reversedAt, reversedBy: userId, reversalReason: reason } },
+    { new: true }
+  ))) {
+    await Coupon.updateOne(
+      { _id: redemption.couponId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+    await releaseClientUse(redemption.couponId, redemption.clientId);
+    reversed.push(redemption);
+  }
+
+  return reversed;
+};
+
+/**
+ * Apply again the redemptions reversed at a given time, e.g. when a trashed purchase is restored.
+ * Each coupon must still have a use left; call inside a transaction so a refusal undoes the others.
+ * @param {string} purchaseId - Purchase ID
+ * @param {Date} reversedAt - Time the redemptions were reversed
+ * @returns {Array} Re-applied redemptions
+ */
+export const reapplyRedemptions = async (purchaseId, reversedAt) => {
+  const redemptions = await CouponRedemption.find({ purchaseId, status: 'REVERSED', reversedAt });
+
+  for (const redemption of redemptions) {
+    const claimed = await Coupon.findOneAndUpdate(
+      {
+        _id: redemption.couponId,
+        $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw httpError(409, 'COUPON_EXHAUSTED', `Coupon ${redemption.code} has no uses left to restore this purchase with`);
+    }
+
+    await claimClientUse(claimed, redemption.clientId);
+
+    redemption.status = 'APPLIED';
+    redemption.reversedAt = undefined;
+    redemption.reversedBy = undefined;
+    redemption.reversalReason = undefined;
+    await redemption.save();
+  }
+
+  return redemptions;
+};
+
+// Letters and digits that cannot be confused when read aloud or typed (no 0/O, 1/I/L)
+export const DEFAULT_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const MAX_CAMPAIGN_CODES = 5000;
+const MAX_GENERATION_ROUNDS = 5;
+
+// Coupon fields shared by every code in a campaign
+const CAMPAIGN_COUPON_FIELDS = [
+  'productId', 'categories', 'discountType', 'discountValuePaise', 'minOrderPaise', 'maxDiscountPaise',
+  'stacking', 'maxUses', 'maxUsesPerClient', 'firstPurchaseOnly', 'eligibleTags', 'validFrom', 'validTo'
+];
+
+const randomCode = (length, alphabet) => Array.from(
+  { length },
+  () => alphabet[crypto.randomInt(alphabet.length)]
+).join('');
+
+// Codes already taken; trashed coupons keep their code in the unique index
+const findTakenCodes = (codes) => Coupon.find({
+  code: { $in: codes },
+  $or: [{ deletedAt: null }, { deletedAt: { $ne: null } }]
+}).distinct('code');
+
+/**
+ * Generate a campaign of unique coupon codes with shared discount settings.
+ * Codes are checked against existing coupons and inserted unordered, so a code taken
+ * by a concurrent request is skipped and replaced in the next round.
+ * Call inside a transaction so a failed generation leaves no empty campaign behind.
+ * @param {Object} data - { name, prefix, count, codeLength, alphabet, ...coupon settings }
+ * @param {string} userId - Acting user
+ * @returns {Object} CouponCampaign
+ */
+export const generateCouponCampaign = async (data, userId) => {
+  const { name, count } = data;
+  const prefix = (data.prefix || '').toUpperCase();
+  const codeLength = data.codeLength || 8;
+  const alphabet = [...new Set((data.alphabet || DEFAULT_CODE_ALPHABET).toUpperCase())].join('');
+
+  if (count > MAX_CAMPAIGN_CODES) {
+    throw httpError(413, 'TOO_MANY_CODES', `Campaigns are limited to ${MAX_CAMPAIGN_CODES} codes`);
+  }
+
+  // Keep the code space well above the count so random codes rarely collide
+  if (alphabet.length ** codeLength < count * 100) {
+    throw httpError(422, 'CODE_SPACE_TOO_SMALL',
+      `${alphabet.length} characters at length ${codeLength} leave too few codes for ${count}; use a longer code or alphabet`);
+  }
+
+  const campaign = await CouponCampaign.create({ name, prefix, codeLength, alphabet, count, createdBy: userId });
+
+  const settings = Object.fromEntries(
+    CAMPAIGN_COUPON_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+  );
+  settings.maxUses = data.maxUses ?? 1; // single use unless told otherwise
+
+  let generated = 0;
+  for (let round = 0; round < MAX_GENERATION_ROUNDS && generated < count; round++) {
+    const candidates = new Set();
+    while (candidates.size < count - generated) {
+      candidates.add(`${prefix}${randomCode(codeLength, alphabet)}`);
+    }
+
+    const taken = new Set(await findTakenCodes([...candidates]));
+    const coupons = [...candidates]
+      .filter(code => !taken.has(code))
+      .map(code => ({ ...settings, code, campaignId: campaign._id }));
+
+    try {
+      await Coupon.insertMany(coupons, { ordered: false });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    generated = await Coupon.countDocuments({ campaignId: campaign._id });
+  }
+
+  campaign.generatedCount = generated;
+  await campaign.save();
+
+  return campaign;
+};
+
+/**
+ * Deactivate a campaign and every code in it
+ * @param {string} campaignId - CouponCampaign ID
+ * @param {string} userId - Acting user
+ * @returns {Object} { campaign, deactivated: number of codes disabled }
+ */
+export const deactivateCouponCampaign = async (campaignId, userId) => {
+  const campaign = await CouponCampaign.findOneAndUpdate(
+    { _id: campaignId, isActive: true },
+    { $set: { isActive: false, deactivatedAt: new Date(), deactivatedBy: userId } },
+    { new: true }
+  );
+
+  if (!campaign) {
+    const exists = await CouponCampaign.exists({ _id: campaignId });
+    if (!exists) {
+      throw httpError(404, 'CAMPAIGN_NOT_FOUND', 'Coupon campaign not found');
+    }
+    throw httpError(409, 'CAMPAIGN_INACTIVE', 'Campaign is already deactivated');
+  }
+
+  const result = await Coupon.updateMany(
+    { campaignId: campaign._id, isActive: true },
+    { $set: { isActive: false } }
+  );
+
+  return { campaign, deactivated: result.modifiedCount };
+};
@@ -0,0 +1,100 @@
+import Purchase from '../models/Purchase.js';
+import CredentialAccessLog from '../models/CredentialAccessLog.js';
+import { decrypt } from '../utils/crypto.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Roles allowed to reveal and rotate credentials (CREDENTIAL_REVEAL_ROLES, default: admin,manager)
+ * @returns {string[]} Role names
+ */
+export const getCredentialRoles = () => {
+  return (process.env.CREDENTIAL_REVEAL_ROLES || 'admin,manager')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+};
+
+const findPurchase = async (purchaseId) => {
+  const purchase = await Purchase.findById(purchaseId);
+  if (!purchase) {
+    throw httpError(404, 'PURCHASE_NOT_FOUND', 'Purchase not found');
+  }
+  return purchase;
+};
+
+const logAccess = (purchase, action, { user, reason, ip, requestId, version }) => {
+  return CredentialAccessLog.create({
+    purchaseId: purchase._id,
+    userId: user._id,
+    action,
+    version,
+    reason,
+    ip,
+    requestId
+  });
+};
+
+/**
+ * Decrypt the current (or a previous) password of a purchase and log the access
+ * @param {string} purchaseId - Purchase ID
+ * @param {Object} options - { user, reason, ip, requestId, version } where version indexes credential history
+ * @returns {Object} { username, password, version, rotatedAt }
+ */
+export const revealCredentials = async (purchaseId, options) => {
+  const purchase = await findPurchase(purchaseId);
+  const credentials = purchase.activation.credentials || {};
+  const { version } = options;
+
+  let entry = credentials;
+  if (version !== undefined) {
+    entry = credentials.history?.[version];
+    if (!entry) {
+      throw httpError(404, 'VERSION_NOT_FOUND', 'Credential version not found');
+    }
+  }
+
+  if (!entry.passwordEncrypted) {
+    throw httpError(404, 'NO_PASSWORD', 'No password stored for this purchase');
+  }
+
+  // Log before decrypting so failed attempts are recorded too
+  await logAccess(purchase, 'REVEAL', options);
+
+  return {
+    username: entry.username,
+    password: decrypt(entry.passwordEncrypted),
+    version: version ?? 'current',
+    rotatedAt: version === undefined ? credentials.rotatedAt : entry.rotatedAt
+  };
+};
+
+/**
+ * Replace the credentials of a purchase, keeping the previous ones encrypted in history
+ * @param {string} purchaseId - Purchase ID
+ * @param {Object} data - { username, password }
+ * @param {Object} options - { user, reason, ip, requestId }
+ * @returns {Object} Updated purchase
+ */
+export const rotateCredentials = async (purchaseId, { username, password }, options) => {
+  const purchase = await findPurchase(purchaseId);
+  const credentials = purchase.activation.credentials;
+
+  if (credentials.passwordEncrypted || credentials.username) {
+    credentials.history.push({
+      username: credentials.username,
+      passwordEncrypted: credentials.passwordEncrypted,
+      rotatedAt: new Date(),
+      rotatedBy: options.user._id
+    });
+  }
+
+  if (username !== undefined) credentials.username = username;
+  purchase.setPassword(password);
+  credentials.rotatedAt = new Date();
+  purchase.updatedBy = options.user._id;
+
+  await purchase.save();
+  await logAccess(purchase, 'ROTATE', options);
+
+  return purchase;
+};
@@ -0,0 +1,88 @@
+import CreditNote from '../models/CreditNote.js';
+import Purchase from '../models/Purchase.js';
+import { nextSequence } from './sequenceService.js';
+import { getOrderPeriod } from './purchaseService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Payment types that hand money back and the settlement total they are limited by
+export const REFUND_LIMITS = {
+  CLIENT_REFUND: 'clientPaidPaise',
+  VENDOR_REFUND: 'vendorPaidPaise'
+};
+
+/**
+ * Generate the next credit note number, e.g. CN-2025-00001 (follows ORDER_ID_RESET periods)
+ * @param {Date} date - Issue date
+ * @returns {string} Credit note number
+ */
+export const generateCreditNoteNumber = async (date = new Date()) => {
+  const period = getOrderPeriod(date);
+  const number = await nextSequence(`creditNote:${period}`);
+  return `CN-${period}-${number.toString().padStart(5, '0')}`;
+};
+
+/**
+ * Make sure a refund does not exceed what has been paid on the purchase
+ * @param {Object} purchase - Purchase document
+ * @param {string} type - Payment type
+ * @param {number} amountPaise - Refund amount
+ * @param {number} excludePaise - Amount of an existing refund being replaced (edits)
+ */
+export const assertRefundWithinPaid = (purchase, type, amountPaise, excludePaise = 0) => {
+  const limitField = REFUND_LIMITS[type];
+  if (!limitField) return;
+
+  const refundable = purchase.settlement[limitField] + excludePaise;
+  if (amountPaise > refundable) {
+    throw httpError(422, 'REFUND_EXCEEDS_PAID', `Refund cannot exceed the net amount paid (${refundable} paise)`);
+  }
+};
+
+/**
+ * Issue a credit note for a client refund payment and link it to the payment
+ * @param {Object} payment - Saved CLIENT_REFUND payment
+ * @param {string} reason - Why the refund was given
+ * @returns {Object} Credit note
+ */
+export const issueCreditNote = async (payment, reason) => {
+  const purchase = await Purchase.findById(payment.purchaseId).select('clientId');
+
+  const creditNote = await CreditNote.create({
+    number: await generateCreditNoteNumber(payment.paidOn),
+    purchaseId: payment.purchaseId,
+    clientId: purchase.clientId,
+    paymentId: payment._id,
+    amountPaise: payment.amountPaise,
+    issuedOn: payment.paidOn,
+    reason,
+    createdBy: payment.createdBy
+  });
+
+  payment.creditNoteId = creditNote._id;
+  await payment.save();
+
+  return creditNote;
+};
+
+/**
+ * Keep a refund's credit note in line with its payment (amount edits, trash and restore)
+ * @param {Object} payment - CLIENT_REFUND payment
+ */
+export const syncCreditNote = async (payment) => {
+  if (!payment.creditNoteId) return;
+
+  const creditNote = await CreditNote.findById(payment.creditNoteId);
+  if (!creditNote) return;
+
+  if (payment.deletedAt) {
+    creditNote.status = 'VOID';
+    creditNote.voidedAt = new Date();
+  } else {
+    creditNote.status = 'ISSUED';
+    creditNote.voidedAt = undefined;
+    creditNote.amountPaise = payment.amountPaise;
+    creditNote.issuedOn = payment.paidOn;
+  }
+
+  await creditNote.save();
+};
@@ -0,0 +1,286 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import Purchase from '../models/Purchase.js';
+import Payment from '../models/Payment.js';
+import Coupon from '../models/Coupon.js';
+import { buildPurchaseFilter, buildPaymentFilter } from '../utils/filters.js';
+import { toCsvLine } from '../utils/csv.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const rupees = (paise) => (typeof paise === 'number' ? paise / 100 : null);
+const day = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+// Column definitions: header, type (text | rupees | date) and value getter.
+// Headers marked (₹) are INR; other amounts are in the currency column of their side.
+const PURCHASE_COLUMNS = [
+  { header: 'Order ID', value: p => p.orderId },
+  { header: 'Purchase Date', type: 'date', value: p => p.purchaseDate },
+  { header: 'Status', value: p => p.status },
+  { header: 'Source', value: p => p.sourcePlatform },
+  { header: 'Client', value: p => p.clientId?.name },
+  { header: 'Client Phone', value: p => p.clientId?.phone },
+  { header: 'Product', value: p => p.productId?.name },
+  { header: 'SKU', value: p => p.productId?.sku },
+  { header: 'Vendor', value: p => p.vendorId?.name },
+  { header: 'Validity Start', type: 'date', value: p => p.validity?.startDate },
+  { header: 'Validity End', type: 'date', value: p => p.validity?.endDate },
+  { header: 'Currency', value: p => p.amounts.currency || 'INR' },
+  { header: 'Client Total', type: 'rupees', value: p => p.amounts.clientPayTotalPaise },
+  { header: 'Discount', type: 'rupees', value: p => p.amounts.discountPaise },
+  { header: 'Taxes', type: 'rupees', value: p => p.amounts.taxesPaise },
+  { header: 'Client Paid', type: 'rupees', value: p => p.settlement.clientPaidPaise },
+  { header: 'Client Due', type: 'rupees', value: p => p.settlement.clientDuePaise },
+  { header: 'Vendor Currency', value: p => p.amounts.vendorCurrency || 'INR' },
+  { header: 'Vendor Total', type: 'rupees', value: p => p.amounts.vendorPayTotalPaise },
+  { header: 'Vendor Paid', type: 'rupees', value: p => p.settlement.vendorPaidPaise },
+  { header: 'Vendor Due', type: 'rupees', value: p => p.settlement.vendorDuePaise },
+  { header: 'Fees (₹)', type: 'rupees', value: p => p.amounts.feesPaise },
+  { header: 'Profit (₹)', type: 'rupees', value: p => p.profitPaise }
+];
+
+const PAYMENT_COLUMNS = [
+  { header: 'Paid On', type: 'date', value: p => p.paidOn },
+  { header: 'Type', value: p => p.type },
+  { header: 'Currency', value: p => p.currency || 'INR' },
+  { header: 'Amount', type: 'rupees', value: p => p.amountPaise },
+  { header: 'Amount (₹)', type: 'rupees', value: p => p.amountInrPaise ?? p.amountPaise },
+  { header: 'Method', value: p => p.method },
+  { header: 'Reference', value: p => p.reference },
+  { header: 'Order ID', value: p => p.purchaseId?.orderId },
+  { header: 'Client', value: p => p.purchaseId?.clientId?.name },
+  { header: 'Vendor', value: p => p.purchaseId?.vendorId?.name },
+  { header: 'Product', value: p => p.purchaseId?.productId?.name },
+  { header: 'Recorded By', value: p => p.createdBy?.name },
+  { header: 'Notes', value: p => p.notes }
+];
+
+const DUES_COLUMNS = [
+  { header: 'Order ID', value: p => p.orderId },
+  { header: 'Purchase Date', type: 'date', value: p => p.purchaseDate },
+  { header: 'Client', value: p => p.clientId?.name },
+  { header: 'Client Phone', value: p => p.clientId?.phone },
+  { header: 'Vendor', value: p => p.vendorId?.name },
+  { header: 'Product', value: p => p.productId?.name },
+  { header: 'Currency', value: p => p.amounts.currency || 'INR' },
+  { header: 'Client Total', type: 'rupees', value: p => p.amounts.clientPayTotalPaise },
+  { header: 'Client Due', type: 'rupees', value: p => p.settlement.clientDuePaise },
+  { header: 'Vendor Currency', value: p => p.amounts.vendorCurrency || 'INR' },
+  { header: 'Vendor Total', type: 'rupees', value: p => p.amounts.vendorPayTotalPaise },
+  { header: 'Vendor Due', type: 'rupees', value: p => p.settlement.vendorDuePaise }
+];
+
+const PAYOUT_COLUMNS = [
+  { header: 'Batch', value: l => l.batch.number },
+  { header: 'Vendor', value: l => l.batch.vendorId?.name },
+  { header: 'Paid On', type: 'date', value: l => l.batch.paidOn },
+  { header: 'Method', value: l => l.batch.method },
+  { header: 'Reference', value: l => l.batch.reference },
+  { header: 'Order ID', value: l => l.orderId },
+  { header: 'Purchase Date', type: 'date', value: l => l.purchaseDate },
+  { header: 'Product', value: l => l.purchaseId?.productId?.name },
+  { header: 'Currency', value: l => l.batch.currency || 'INR' },
+  { header: 'Due', type: 'rupees', value: l => l.duePaise },
+  { header: 'Paid', type: 'rupees', value: l => l.amountPaise }
+];
+
+const COUPON_COLUMNS = [
+  { header: 'Code', value: c => c.code },
+  { header: 'Discount Type', value: c => c.discountType },
+  { header: 'Discount Value', value: c => c.discountValuePaise }, // basis points for PERCENT, paise for FLAT
+  { header: 'Min Order (₹)', type: 'rupees', value: c => c.minOrderPaise },
+  { header: 'Max Discount (₹)', type: 'rupees', value: c => c.maxDiscountPaise },
+  { header: 'Max Uses', value: c => c.maxUses },
+  { header: 'Used', value: c => c.usedCount },
+  { header: 'Valid From', type: 'date', value: c => c.validFrom },
+  { header: 'Valid To', type: 'date', value: c => c.validTo },
+  { header: 'Active', value: c => (c.isActive ? 'Yes' : 'No') }
+];
+
+const populatePurchase = (query) => query
+  .populate('clientId', 'name phone')
+  .populate('vendorId', 'name')
+  .populate('productId', 'name sku');
+
+const formatCsvValue = (column, value) => {
+  if (value === null || value === undefined) return '';
+  if (column.type === 'rupees') return rupees(value).toFixed(2);
+  if (column.type === 'date') return day(value);
+  return value;
+};
+
+const streamCsv = async (res, columns, cursor) => {
+  res.write('\uFEFF'); // BOM so Excel detects UTF-8 (₹)
+  res.write(toCsvLine(columns.map(column => column.header)));
+
+  for await (const doc of cursor) {
+    const line = toCsvLine(columns.map(column => formatCsvValue(column, column.value(doc))));
+    // Respect backpressure instead of buffering the whole export
+    if (!res.write(line)) await once(res, 'drain');
+  }
+
+  res.end();
+};
+
+const streamXlsx = async (res, columns, cursor, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    width: column.type === 'text' || !column.type ? 20 : 14,
+    style: column.type === 'rupees' ? { numFmt: '#,##0.00' } : column.type === 'date' ? { numFmt: 'yyyy-mm-dd' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const doc of cursor) {
+    sheet.addRow(columns.map((column) => {
+      const value = column.value(doc);
+      if (value === null || value === undefined) return null;
+      if (column.type === 'rupees') return rupees(value);
+      if (column.type === 'date') return new Date(value);
+      return value;
+    })).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Stream rows from a query cursor to the response as CSV or XLSX
+ * @param {Object} res - Express response
+ * @param {Object} options - { format, filename, sheetName, columns, cursor }
+ */
+const streamExport = async (res, { format, filename, sheetName, columns, cursor }) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}-${stamp}.xlsx"`);
+    await streamXlsx(res, columns, cursor, sheetName);
+  } else {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}-${stamp}.csv"`);
+    await streamCsv(res, columns, cursor);
+  }
+};
+
+/**
+ * Export purchases matching the purchase list filters
+ */
+export const exportPurchases = (res, params) => {
+  const cursor = populatePurchase(Purchase.find(buildPurchaseFilter(params)))
+    .sort({ purchaseDate: -1 })
+    .cursor();
+
+  return streamExport(res, {
+    format: params.format,
+    filename: 'purchases',
+    sheetName: 'Purchases',
+    columns: PURCHASE_COLUMNS,
+    cursor
+  });
+};
+
+/**
+ * Export payments matching the payment list filters, optionally narrowed by
+ * purchase status, client, vendor or product
+ */
+export const exportPayments = async (res, params) => {
+  const query = buildPaymentFilter(params);
+  const { status, clientId, vendorId, productId } = params;
+
+  if (!params.purchaseId && (status || clientId || vendorId || productId)) {
+    const purchaseIds = await Purchase.find(buildPurchaseFilter({ status, clientId, vendorId, productId }))
+      .distinct('_id');
+    query.purchaseId = { $in: purchaseIds };
+  }
+
+  const cursor = Payment.find(query)
+    .populate({
+      path: 'purchaseId',
+      select: 'orderId clientId vendorId productId',
+      populate: [
+        { path: 'clientId', select: 'name' },
+        { path: 'vendorId', select: 'name' },
+        { path: 'productId', select: 'name' }
+      ]
+    })
+    .populate('createdBy', 'name')
+    .sort({ paidOn: -1 })
+    .cursor();
+
+  return streamExport(res, {
+    format: params.format,
+    filename: 'payments',
+    sheetName: 'Payments',
+    columns: PAYMENT_COLUMNS,
+    cursor
+  });
+};
+
+/**
+ * Export purchases with outstanding client and/or vendor dues
+ * @param {Object} params - Purchase filters plus side: client | vendor (default both)
+ */
+export const exportDues = (res, params) => {
+  const query = buildPurchaseFilter(params);
+
+  if (params.side === 'client') {
+    query['settlement.clientDuePaise'] = { $gt: 0 };
+  } else if (params.side === 'vendor') {
+    query['settlement.vendorDuePaise'] = { $gt: 0 };
+  } else {
+    query.$or = [
+      { 'settlement.clientDuePaise': { $gt: 0 } },
+      { 'settlement.vendorDuePaise': { $gt: 0 } }
+    ];
+  }
+
+  const cursor = populatePurchase(Purchase.find(query))
+    .sort({ purchaseDate: 1 })
+    .cursor();
+
+  return streamExport(res, {
+    format: params.format,
+    filename: `${params.side || 'all'}-dues`,
+    sheetName: 'Dues',
+    columns: DUES_COLUMNS,
+    cursor
+  });
+};
+
+/**
+ * Download the statement of a payout batch, one row per purchase paid
+ * @param {Object} batch - Payout batch with vendorId and lines.purchaseId.productId populated
+ * @param {string} format - csv | xlsx
+ */
+export const exportPayoutStatement = (res, batch, format) => {
+  return streamExport(res, {
+    format,
+    filename: `payout-${batch.number}`,
+    sheetName: 'Payout',
+    columns: PAYOUT_COLUMNS,
+    cursor: batch.lines.map(line => ({ ...line.toObject(), purchaseId: line.purchaseId, batch }))
+  });
+};
+
+/**
+ * Download the codes of a coupon campaign for sharing
+ * @param {Object} campaign - CouponCampaign
+ * @param {string} format - csv | xlsx
+ */
+export const exportCouponCampaign = (res, campaign, format) => {
+  const cursor = Coupon.find({ campaignId: campaign._id })
+    .sort({ code: 1 })
+    .cursor();
+
+  return streamExport(res, {
+    format,
+    filename: `coupons-${campaign.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    sheetName: 'Coupons',
+    columns: COUPON_COLUMNS,
+    cursor
+  });
+};
@@ -0,0 +1,154 @@
+import FxRate from '../models/FxRate.js';
+import Payment from '../models/Payment.js';
+import { parseCsv } from '../utils/csv.js';
+import { httpError } from '../utils/httpError.js';
+
+export const BASE_CURRENCY = 'INR';
+
+const MAX_ROWS = 5000;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Purchase fields that need the rates to be locked again when they change
+export const FX_INPUT_PATHS = ['amounts.currency', 'amounts.vendorCurrency'];
+
+/**
+ * Query condition for a currency; purchases saved before currencies existed are INR
+ * @param {string} currency - ISO currency code
+ * @returns {string|Object} Value for a currency field filter
+ */
+export const matchCurrency = (currency) => (currency === BASE_CURRENCY ? { $in: [BASE_CURRENCY, null] } : currency);
+
+/**
+ * Convert an amount in minor units to INR paise at a rate
+ * @param {number} amount - Minor units of the foreign currency
+ * @param {number} rate - INR per unit
+ * @returns {number} INR paise
+ */
+export const toInr = (amount, rate = 1) => Math.round((amount || 0) * rate);
+
+/**
+ * Aggregation expression for a purchase amount in INR paise.
+ * Purchases saved before currencies existed have no amountsInr and are INR already.
+ * @param {string} field - Field of `amounts`, e.g. clientPayTotalPaise
+ * @returns {Object} Aggregation expression
+ */
+export const inrAmount = (field) => ({ $ifNull: [`$amountsInr.${field}`, { $ifNull: [`$amounts.${field}`, 0] }] });
+
+/**
+ * Aggregation expression converting a purchase-currency value at a locked rate
+ * @param {string} path - Field path, e.g. $settlement.clientDuePaise
+ * @param {string} rate - Rate path, e.g. $fx.clientRate
+ * @returns {Object} Aggregation expression
+ */
+export const inrAtRate = (path, rate) => ({ $round: [{ $multiply: [{ $ifNull: [path, 0] }, { $ifNull: [rate, 1] }] }, 0] });
+
+// Aggregation expression for the INR value of a payment
+export const PAYMENT_INR = { $ifNull: ['$amountInrPaise', '$amountPaise'] };
+
+// "2025-04-01" (or any parseable date) -> midnight UTC of that day
+const toRateDate = (value) => {
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Rate for a currency on a date, failing when the table has none
+ * @param {string} currency - ISO currency code
+ * @param {Date} date - Reference date
+ * @returns {number} INR per unit
+ */
+export const getRate = async (currency, date) => {
+  const rate = await FxRate.rateOn(currency, date);
+  if (rate === null) {
+    throw httpError(422, 'FX_RATE_MISSING',
+      `No ${currency} rate on or before ${new Date(date).toISOString().slice(0, 10)}; add one in the FX rate table first`);
+  }
+  return rate;
+};
+
+/**
+ * Lock the client and vendor rates of a purchase at its purchase date.
+ * Rates cannot move once payments are recorded, since their FX gain is measured against them.
+ * Does not save the purchase.
+ * @param {Object} purchase - Purchase document (updated in place)
+ * @returns {Object} The purchase
+ */
+export const lockFxRates = async (purchase) => {
+  if (!purchase.isNew && await Payment.exists({ purchaseId: purchase._id })) {
+    throw httpError(409, 'FX_RATES_LOCKED', 'Currencies cannot change once payments are recorded');
+  }
+
+  const clientCurrency = purchase.amounts.currency || BASE_CURRENCY;
+  const vendorCurrency = purchase.amounts.vendorCurrency || BASE_CURRENCY;
+
+  purchase.fx = {
+    clientRate: await getRate(clientCurrency, purchase.purchaseDate),
+    vendorRate: await getRate(vendorCurrency, purchase.purchaseDate),
+    lockedAt: new Date()
+  };
+
+  return purchase;
+};
+
+/**
+ * Add or replace the rate of a currency for a day
+ * @param {Object} data - { currency, date, rate }
+ * @param {string} userId - Acting user
+ * @param {string} source - MANUAL or IMPORT
+ * @returns {Object} FxRate
+ */
+export const setRate = async ({ currency, date, rate }, userId, source = 'MANUAL') => {
+  const code = currency.toUpperCase();
+  if (code === BASE_CURRENCY) {
+    throw httpError(400, 'BASE_CURRENCY', 'INR is the reporting currency and always has rate 1');
+  }
+
+  return FxRate.findOneAndUpdate(
+    { currency: code, date: toRateDate(date) },
+    { $set: { rate, source, createdBy: userId } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Import rates from CSV with columns date, currency, rate.
+ * Valid rows are saved; invalid rows are reported and skipped.
+ * @param {string} csvText - CSV content
+ * @param {string} userId - Acting user
+ * @returns {Object} { imported, errors: [{ row, message }] }
+ */
+export const importRates = async (csvText, userId) => {
+  const rows = parseCsv(csvText);
+
+  if (rows.length === 0) {
+    throw httpError(400, 'EMPTY_FILE', 'CSV file has no data rows');
+  }
+
+  if (rows.length > MAX_ROWS) {
+    throw httpError(413, 'TOO_MANY_ROWS', `CSV files are limited to ${MAX_ROWS} rows`);
+  }
+
+  const errors = [];
+  let imported = 0;
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + 2; // header is row 1
+    const currency = (row.currency || '').toUpperCase();
+    const date = toRateDate(row.date);
+    const rate = Number(row.rate);
+
+    if (!CURRENCY_PATTERN.test(currency) || currency === BASE_CURRENCY) {
+      errors.push({ row: rowNumber, message: `Invalid currency "${row.currency || ''}"` });
+    } else if (!row.date || !date) {
+      errors.push({ row: rowNumber, message: `Invalid date "${row.date || ''}"` });
+    } else if (!row.rate || !(rate > 0)) {
+      errors.push({ row: rowNumber, message: `Invalid rate "${row.rate || ''}"` });
+    } else {
+      await setRate({ currency, date, rate }, userId, 'IMPORT');
+      imported++;
+    }
+  }
+
+  return { imported, errors };
+};
@@ -0,0 +1,356 @@
+import mongoose from 'mongoose';
+import Purchase from '../models/Purchase.js';
+import Client from '../models/Client.js';
+import Vendor from '../models/Vendor.js';
+import Product from '../models/Product.js';
+import ImportBatch from '../models/ImportBatch.js';
+import { CreatePurchaseSchema } from '../validators/schemas.js';
+import { softDeletePurchase } from './trashService.js';
+import { generateOrderId } from './purchaseService.js';
+import { applyGst } from './taxService.js';
+import { lockFxRates } from './fxService.js';
+import { parseCsvWithLines } from '../utils/csv.js';
+import { httpError } from '../utils/httpError.js';
+
+const MAX_ROWS = 5000;
+
+/**
+ * Columns understood by the purchase import. Amounts may be given in rupees
+ * (clientPayTotal) or paise (clientPayTotalPaise); paise wins when both are present.
+ * Rows without an orderId get the next generated ID for their source platform.
+ */
+export const PURCHASE_IMPORT_COLUMNS = [
+  'orderId', 'sourcePlatform', 'sourceRef', 'purchaseDate',
+  'clientName', 'clientPhone', 'clientEmail',
+  'productSku', 'productName', 'productCategory',
+  'vendorName', 'vendorPhone',
+  'durationMonths', 'validityStartDate', 'warrantyMonths',
+  'activationMethod', 'username', 'password', 'couponCode', 'invitedEmail',
+  'clientPayTotal', 'vendorPayTotal', 'discount', 'taxes', 'fees'
+];
+
+const toInt = (value) => (value ? Number(value) : undefined);
+
+// Keep unparseable dates as-is so schema validation reports them
+const toIsoDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date) ? value : date.toISOString();
+};
+
+const readAmount = (row, name) => {
+  if (row[`${name}Paise`]) return Number(row[`${name}Paise`]);
+  if (row[name]) return Math.round(Number(row[name].replace(/[₹,\s]/g, '')) * 100);
+  return undefined;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const byName = (name) => ({ name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' } });
+
+/**
+ * Resolves client/vendor/product references for import rows. Records that do not exist
+ * yet get a planned ID during the dry run and are only created on commit.
+ */
+const createResolver = ({ createMissing, dryRun }) => {
+  const cache = new Map();
+  const created = { clientIds: [], vendorIds: [], productIds: [] };
+
+  const resolve = async (kind, key, lookup, build) => {
+    const cacheKey = `${kind}:${key.toLowerCase()}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    let result;
+    const existing = await lookup();
+    if (existing) {
+      result = { id: existing._id.toString(), action: 'MATCHED' };
+    } else if (createMissing[kind]) {
+      result = { id: new mongoose.Types.ObjectId().toString(), action: 'CREATE', build };
+    } else {
+      result = { id: null, action: 'NOT_FOUND' };
+    }
+
+    cache.set(cacheKey, result);
+    return result;
+  };
+
+  // Create a planned record the first time a committed row needs it
+  const materialize = async (kind, result) => {
+    if (result.action !== 'CREATE' || dryRun || result.createdAt) return;
+    const doc = result.build(result.id);
+    await doc.save();
+    created[`${kind.slice(0, -1)}Ids`].push(doc._id);
+    result.createdAt = new Date();
+  };
+
+  const client = (row) => {
+    if (!row.clientPhone && !row.clientName) return null;
+    return resolve(
+      'clients',
+      row.clientPhone || row.clientName,
+      () => (row.clientPhone ? Client.findOne({ phone: row.clientPhone }) : Client.findOne(byName(row.clientName))),
+      (id) => new Client({
+        _id: id,
+        name: row.clientName || row.clientPhone,
+        phone: row.clientPhone || undefined,
+        email: row.clientEmail || undefined
+      })
+    );
+  };
+
+  const vendor = (row) => {
+    if (!row.vendorPhone && !row.vendorName) return null;
+    return resolve(
+      'vendors',
+      row.vendorPhone || row.vendorName,
+      () => (row.vendorPhone ? Vendor.findOne({ phone: row.vendorPhone }) : Vendor.findOne(byName(row.vendorName))),
+      (id) => new Vendor({
+        _id: id,
+        name: row.vendorName || row.vendorPhone,
+        phone: row.vendorPhone || undefined
+      })
+    );
+  };
+
+  const product = (row) => {
+    if (!row.productSku && !row.productName) return null;
+    return resolve(
+      'products',
+      row.productSku || row.productName,
+      () => (row.productSku ? Product.findOne({ sku: row.productSku }) : Product.findOne(byName(row.productName))),
+      (id) => new Product({
+        _id: id,
+        name: row.productName || row.productSku,
+        sku: row.productSku || undefined,
+        category: row.productCategory || undefined,
+        defaultValidityMonths: toInt(row.durationMonths),
+        activationMethods: [row.activationMethod?.toUpperCase()].filter(Boolean)
+      })
+    );
+  };
+
+  return { client, vendor, product, materialize, created };
+};
+
+const buildPayload = (row, { clientId, productId, vendorId }) => ({
+  orderId: row.orderId || undefined,
+  sourcePlatform: row.sourcePlatform ? row.sourcePlatform.toUpperCase() : undefined,
+  sourceRef: row.sourceRef || undefined,
+  clientId: clientId || '',
+  productId: productId || '',
+  vendorId: vendorId || undefined,
+  purchaseDate: toIsoDate(row.purchaseDate),
+  validity: row.durationMonths || row.validityStartDate ? {
+    durationMonths: toInt(row.durationMonths),
+    startDate: toIsoDate(row.validityStartDate)
+  } : undefined,
+  warranty: row.warrantyMonths ? { hasWarranty: true, months: toInt(row.warrantyMonths) } : undefined,
+  activation: {
+    method: row.activationMethod ? row.activationMethod.toUpperCase() : undefined,
+    credentials: row.username || row.password ? {
+      username: row.username || undefined,
+      password: row.password || undefined
+    } : undefined,
+    couponCode: row.couponCode || undefined,
+    emailInvite: row.invitedEmail ? { invitedEmail: row.invitedEmail } : undefined
+  },
+  amounts: {
+    clientPayTotalPaise: readAmount(row, 'clientPayTotal'),
+    vendorPayTotalPaise: readAmount(row, 'vendorPayTotal'),
+    discountPaise: readAmount(row, 'discount'),
+    taxesPaise: readAmount(row, 'taxes'),
+    feesPaise: readAmount(row, 'fees')
+  }
+});
+
+/**
+ * Validate and optionally import purchases from CSV.
+ * A dry run only reports what would happen; a commit refuses to import anything while
+ * rows have errors unless skipInvalid is set.
+ * @param {string} csvText - CSV file content
+ * @param {Object} options - { dryRun, createMissing: { clients, vendors, products }, skipInvalid, filename, userId }
+ * @returns {Object} Row-by-row report, plus the batch when committed
+ */
+export const importPurchases = async (csvText, {
+  dryRun = true,
+  createMissing = {},
+  skipInvalid = false,
+  filename,
+  userId
+}) => {
+  const rows = parseCsvWithLines(csvText);
+
+  if (rows.length === 0) {
+    throw httpError(400, 'EMPTY_FILE', 'CSV file has no data rows');
+  }
+
+  if (rows.length > MAX_ROWS) {
+    throw httpError(413, 'TOO_MANY_ROWS', `CSV files are limited to ${MAX_ROWS} rows`);
+  }
+
+  // Order IDs are unique across live and trashed purchases, so check the raw collection
+  const orderIds = rows.map(({ record }) => record.orderId).filter(Boolean);
+  const takenOrderIds = new Set(await Purchase.collection.distinct('orderId', { orderId: { $in: orderIds } }));
+  const seenOrderIds = new Set();
+
+  const resolver = createResolver({ createMissing, dryRun });
+  const report = [];
+
+  for (const { line, record: row } of rows) {
+    const errors = [];
+    const [client, product, vendor] = await Promise.all([
+      resolver.client(row),
+      resolver.product(row),
+      resolver.vendor(row)
+    ]);
+
+    if (!client) errors.push('clientName or clientPhone is required');
+    else if (client.action === 'NOT_FOUND') errors.push(`Client not found: ${row.clientPhone || row.clientName}`);
+
+    if (!product) errors.push('productSku or productName is required');
+    else if (product.action === 'NOT_FOUND') errors.push(`Product not found: ${row.productSku || row.productName}`);
+
+    if (vendor?.action === 'NOT_FOUND') errors.push(`Vendor not found: ${row.vendorPhone || row.vendorName}`);
+
+    if (row.orderId && takenOrderIds.has(row.orderId)) errors.push(`Order ID already exists: ${row.orderId}`);
+    if (row.orderId && seenOrderIds.has(row.orderId)) errors.push(`Duplicate order ID in file: ${row.orderId}`);
+    if (row.orderId) seenOrderIds.add(row.orderId);
+
+    const parsed = CreatePurchaseSchema.safeParse(buildPayload(row, {
+      clientId: client?.id,
+      productId: product?.id,
+      vendorId: vendor?.id
+    }));
+
+    if (!parsed.success) {
+      parsed.error.errors
+        .filter(e => !['clientId', 'productId'].includes(e.path.join('.'))) // reported above
+        .forEach(e => errors.push(`${e.path.join('.')}: ${e.message}`));
+    }
+
+    report.push({
+      row: line, // line in the file, so blank lines do not shift it
+      orderId: row.orderId,
+      status: errors.length ? 'ERROR' : 'OK',
+      client: client && { action: client.action, id: client.id },
+      product: product && { action: product.action, id: product.id },
+      vendor: vendor && { action: vendor.action, id: vendor.id },
+      errors,
+      data: parsed.success ? parsed.data : undefined,
+      refs: { client, product, vendor }
+    });
+  }
+
+  const invalid = report.filter(entry => entry.status === 'ERROR');
+  const summary = {
+    rows: report.length,
+    valid: report.length - invalid.length,
+    invalid: invalid.length
+  };
+
+  const publicReport = report.map(({ data, refs, ...entry }) => entry);
+
+  if (dryRun || (invalid.length > 0 && !skipInvalid)) {
+    return { dryRun, committed: false, summary, rows: publicReport };
+  }
+
+  // Saved before any row is written so a failure part way leaves a batch to roll back
+  const batch = await ImportBatch.create({
+    filename,
+    createdBy: userId,
+    rowErrors: invalid.map(entry => ({ row: entry.row, messages: entry.errors }))
+  });
+
+  let imported = 0;
+  try {
+    for (const entry of report.filter(item => item.status === 'OK')) {
+      const { client, product, vendor } = entry.refs;
+      await resolver.materialize('clients', client);
+      await resolver.materialize('products', product);
+      if (vendor) await resolver.materialize('vendors', vendor);
+
+      const { password, ...credentials } = entry.data.activation.credentials || {};
+      const purchase = new Purchase({
+        ...entry.data,
+        orderId: entry.data.orderId || await generateOrderId(
+          entry.data.sourcePlatform,
+          entry.data.purchaseDate ? new Date(entry.data.purchaseDate) : undefined
+        ),
+        activation: { ...entry.data.activation, credentials },
+        importBatchId: batch._id,
+        createdBy: userId
+      });
+      purchase.setPassword(password);
+      await lockFxRates(purchase);
+      await applyGst(purchase);
+      await purchase.save();
+
+      entry.purchaseId = purchase._id;
+      imported++;
+    }
+  } catch (error) {
+    batch.status = 'FAILED';
+    batch.created = resolver.created;
+    batch.totals = { rows: report.length, imported, skipped: invalid.length };
+    await batch.save();
+    throw error;
+  }
+
+  batch.status = 'COMMITTED';
+  batch.created = resolver.created;
+  batch.totals = { rows: report.length, imported, skipped: invalid.length };
+  await batch.save();
+
+  return {
+    dryRun: false,
+    committed: true,
+    batchId: batch._id,
+    summary: { ...summary, imported },
+    rows: report.map(({ data, refs, ...entry }) => entry)
+  };
+};
+
+/**
+ * Roll back an import batch: trash its purchases and any client, vendor or
+ * product it created that no remaining purchase references
+ * @param {string} batchId - Import batch ID
+ * @param {string} userId - Acting user
+ * @returns {Object} Updated batch
+ */
+export const rollbackImport = async (batchId, userId) => {
+  const batch = await ImportBatch.findById(batchId);
+  if (!batch) {
+    throw httpError(404, 'IMPORT_NOT_FOUND', 'Import batch not found');
+  }
+
+  if (batch.status === 'ROLLED_BACK') {
+    throw httpError(409, 'ALREADY_ROLLED_BACK', 'Import batch has already been rolled back');
+  }
+
+  const purchases = await Purchase.find({ importBatchId: batch._id });
+  for (const purchase of purchases) {
+    await softDeletePurchase(purchase, userId);
+  }
+
+  const cleanup = [
+    [Client, batch.created.clientIds, 'clientId'],
+    [Vendor, batch.created.vendorIds, 'vendorId'],
+    [Product, batch.created.productIds, 'productId']
+  ];
+
+  for (const [Model, ids, field] of cleanup) {
+    for (const id of ids) {
+      const inUse = await Purchase.exists({ [field]: id });
+      if (inUse) continue;
+      const doc = await Model.findById(id);
+      if (doc) await doc.softDelete(userId);
+    }
+  }
+
+  batch.status = 'ROLLED_BACK';
+  batch.rolledBackAt = new Date();
+  batch.rolledBackBy = userId;
+  await batch.save();
+
+  return batch;
+};
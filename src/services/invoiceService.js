@@ -0,0 +1,95 @@
+import BusinessProfile from '../models/BusinessProfile.js';
+import Purchase from '../models/Purchase.js';
+import { nextSequence } from './sequenceService.js';
+import { getOrderPeriod } from './purchaseService.js';
+import { httpError } from '../utils/httpError.js';
+
+const PROFILE_ID = 'default';
+
+/**
+ * Get the business details printed on documents; falls back to defaults until saved
+ * @param {Object} options - { withLogo } to include the logo bytes
+ * @returns {Object} BusinessProfile document
+ */
+export const getBusinessProfile = async ({ withLogo = false } = {}) => {
+  const query = BusinessProfile.findById(PROFILE_ID);
+  if (withLogo) query.select('+logo.data');
+
+  return (await query) || new BusinessProfile({ _id: PROFILE_ID });
+};
+
+/**
+ * Update the business details
+ * @param {Object} data - Fields to change
+ * @param {string} userId - Acting user
+ * @returns {Object} Saved BusinessProfile
+ */
+export const updateBusinessProfile = async (data, userId) => {
+  const profile = await getBusinessProfile();
+  const { address, ...fields } = data;
+
+  profile.set({ ...fields, updatedBy: userId });
+
+  // Merge address lines so a partial update keeps the rest
+  Object.entries(address || {}).forEach(([key, value]) => {
+    profile.set(`address.${key}`, value);
+  });
+  await profile.save();
+
+  return profile;
+};
+
+/**
+ * Replace or remove the logo printed on documents
+ * @param {Object} logo - { data: Buffer, contentType } or null to remove it
+ * @param {string} userId - Acting user
+ * @returns {Object} Saved BusinessProfile
+ */
+export const setBusinessLogo = async (logo, userId) => {
+  const profile = await getBusinessProfile();
+
+  profile.logo = logo || undefined;
+  profile.updatedBy = userId;
+  await profile.save();
+
+  return profile;
+};
+
+/**
+ * Format an invoice number, e.g. INV-2025-00042
+ * @param {string} prefix - Series prefix
+ * @param {string} period - Year or fiscal year (see getOrderPeriod)
+ * @param {number} seq - Number in the series
+ * @returns {string} Invoice number
+ */
+export const formatInvoiceNumber = (prefix, period, seq) => `${prefix}-${period}-${String(seq).padStart(5, '0')}`;
+
+/**
+ * Give a purchase its invoice number the first time an invoice is generated.
+ * Run inside a transaction so a number is never used twice or skipped; without
+ * transactions (MONGODB_TRANSACTIONS=false) a failed request can leave a gap.
+ * @param {Object} purchase - Purchase document (updated in place)
+ * @returns {Object} { number, issuedAt }
+ */
+export const issueInvoiceNumber = async (purchase) => {
+  const current = await Purchase.findById(purchase._id).select('invoice');
+  if (current.invoice?.number) {
+    purchase.invoice = current.invoice;
+    return purchase.invoice;
+  }
+
+  const { invoicePrefix } = await getBusinessProfile();
+  const issuedAt = new Date();
+  const period = getOrderPeriod(issuedAt);
+  const seq = await nextSequence(`invoice:${invoicePrefix}:${period}`);
+  const invoice = { number: formatInvoiceNumber(invoicePrefix, period, seq), issuedAt };
+
+  // Only the first request writes a number; the loser fails so its transaction gives the sequence number back
+  const result = await Purchase.updateOne({ _id: purchase._id, 'invoice.number': null }, { $set: { invoice } });
+  if (result.modifiedCount === 0) {
+    throw httpError(409, 'INVOICE_CONFLICT', 'Invoice number was issued by another request; generate the invoice again');
+  }
+
+  purchase.invoice = invoice;
+  return purchase.invoice;
+};
@@ -0,0 +1,207 @@
+import PayoutBatch from '../models/PayoutBatch.js';
+import Purchase from '../models/Purchase.js';
+import Payment from '../models/Payment.js';
+import Vendor from '../models/Vendor.js';
+import { nextSequence } from './sequenceService.js';
+import { getOrderPeriod, updatePurchaseSettlement } from './purchaseService.js';
+import { INACTIVE_STATUSES } from './purchaseStatus.js';
+import { BASE_CURRENCY, matchCurrency } from './fxService.js';
+import { dateRange } from '../utils/filters.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Generate the next payout batch number, e.g. PO-2025-00001 (follows ORDER_ID_RESET periods)
+ * @param {Date} date - Batch date
+ * @returns {string} Batch number
+ */
+export const generatePayoutNumber = async (date = new Date()) => {
+  const period = getOrderPeriod(date);
+  const number = await nextSequence(`payout:${period}`);
+  return `PO-${period}-${number.toString().padStart(5, '0')}`;
+};
+
+const assertDraft = (batch) => {
+  if (batch.status !== 'DRAFT') {
+    throw httpError(409, 'BATCH_NOT_DRAFT', `${batch.status} payout batches cannot be changed`);
+  }
+};
+
+/**
+ * Gather a vendor's open dues into a draft payout batch.
+ * Purchases already sitting in another draft batch are left out so they are not paid twice.
+ * A batch only holds purchases billed in one vendor currency.
+ * @param {Object} data - { vendorId, currency, from, to, notes }
+ * @param {string} userId - Acting user
+ * @returns {Object} Draft batch
+ */
+export const createPayoutBatch = async ({ vendorId, currency = BASE_CURRENCY, from, to, notes }, userId) => {
+  const vendorExists = await Vendor.exists({ _id: vendorId });
+  if (!vendorExists) {
+    throw httpError(404, 'VENDOR_NOT_FOUND', 'Vendor not found');
+  }
+
+  currency = currency.toUpperCase();
+  const inDraft = await PayoutBatch.find({ vendorId, status: 'DRAFT' }).distinct('lines.purchaseId');
+
+  const query = {
+    _id: { $nin: inDraft },
+    vendorId,
+    status: { $nin: INACTIVE_STATUSES },
+    'amounts.vendorCurrency': matchCurrency(currency),
+    'settlement.vendorDuePaise': { $gt: 0 }
+  };
+  const purchaseDate = dateRange(from, to);
+  if (purchaseDate) query.purchaseDate = purchaseDate;
+
+  const purchases = await Purchase.find(query)
+    .select('orderId purchaseDate settlement')
+    .sort({ purchaseDate: 1 });
+
+  if (purchases.length === 0) {
+    throw httpError(404, 'NO_VENDOR_DUES', `No open ${currency} vendor dues for this vendor and date range`);
+  }
+
+  const batch = new PayoutBatch({
+    number: await generatePayoutNumber(),
+    vendorId,
+    currency,
+    from,
+    to,
+    notes,
+    lines: purchases.map(purchase => ({
+      purchaseId: purchase._id,
+      orderId: purchase.orderId,
+      purchaseDate: purchase.purchaseDate,
+      duePaise: purchase.settlement.vendorDuePaise,
+      amountPaise: purchase.settlement.vendorDuePaise
+    })),
+    createdBy: userId
+  });
+
+  await batch.save();
+  return batch;
+};
+
+/**
+ * Adjust a draft batch: change line amounts (0 removes the line) and batch details
+ * @param {Object} batch - Draft batch
+ * @param {Object} data - { lines: [{ purchaseId, amountPaise }], method, reference, notes }
+ * @returns {Object} Updated batch
+ */
+export const updatePayoutBatch = async (batch, { lines = [], ...details }) => {
+  assertDraft(batch);
+
+  for (const change of lines) {
+    const line = batch.lines.find(item => item.purchaseId.toString() === change.purchaseId);
+    if (!line) {
+      throw httpError(404, 'LINE_NOT_FOUND', `Purchase ${change.purchaseId} is not in this batch`);
+    }
+
+    if (change.amountPaise > line.duePaise) {
+      throw httpError(422, 'AMOUNT_EXCEEDS_DUE', `Amount for ${line.orderId} exceeds its vendor due (${line.duePaise} paise)`);
+    }
+
+    line.amountPaise = change.amountPaise;
+  }
+
+  batch.lines = batch.lines.filter(line => line.amountPaise > 0);
+  if (batch.lines.length === 0) {
+    throw httpError(422, 'EMPTY_BATCH', 'A payout batch needs at least one line; cancel it instead');
+  }
+
+  batch.set(details);
+
+  // Save only while still a draft, so an edit racing a confirm or cancel cannot change it afterwards
+  batch.$where = { status: 'DRAFT' };
+  try {
+    await batch.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      throw httpError(409, 'BATCH_NOT_DRAFT', 'Payout batch was changed by another request');
+    }
+    throw error;
+  }
+  return batch;
+};
+
+/**
+ * Confirm a draft batch: create one VENDOR payment per line with the shared reference
+ * @param {Object} batch - Draft batch
+ * @param {Object} data - { paidOn, method, reference }
+ * @param {string} userId - Acting user
+ * @returns {Object} Confirmed batch
+ */
+export const confirmPayoutBatch = async (batch, { paidOn, method, reference }, userId) => {
+  assertDraft(batch);
+
+  // Dues may have moved since the batch was drafted
+  const purchases = await Purchase.find({ _id: { $in: batch.lines.map(line => line.purchaseId) } })
+    .select('orderId status settlement');
+  const byId = new Map(purchases.map(purchase => [purchase._id.toString(), purchase]));
+
+  for (const line of batch.lines) {
+    const purchase = byId.get(line.purchaseId.toString());
+    if (!purchase || INACTIVE_STATUSES.includes(purchase.status)) {
+      throw httpError(409, 'PURCHASE_UNAVAILABLE', `Purchase ${line.orderId} is no longer payable; adjust the batch`);
+    }
+    if (line.amountPaise > purchase.settlement.vendorDuePaise) {
+      throw httpError(409, 'DUE_CHANGED',
+        `Vendor due on ${line.orderId} is now ${purchase.settlement.vendorDuePaise} paise; adjust the batch`);
+    }
+  }
+
+  // Claim the batch atomically so a concurrent confirm or cancel cannot pay it twice
+  const claimed = await PayoutBatch.updateOne(
+    { _id: batch._id, status: 'DRAFT' },
+    { status: 'CONFIRMED', confirmedAt: new Date(), confirmedBy: userId }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw httpError(409, 'BATCH_NOT_DRAFT', 'Payout batch was changed by another request');
+  }
+
+  batch.paidOn = paidOn ? new Date(paidOn) : new Date();
+  batch.method = method || batch.method;
+  batch.reference = reference || batch.reference || batch.number;
+
+  for (const line of batch.lines) {
+    const payment = await Payment.create({
+      purchaseId: line.purchaseId,
+      type: 'VENDOR',
+      amountPaise: line.amountPaise,
+      paidOn: batch.paidOn,
+      method: batch.method,
+      reference: batch.reference,
+      notes: `Payout ${batch.number}`,
+      payoutBatchId: batch._id,
+      createdBy: userId
+    });
+    line.paymentId = payment._id;
+    await updatePurchaseSettlement(line.purchaseId);
+  }
+
+  batch.status = 'CONFIRMED';
+  batch.confirmedAt = new Date();
+  batch.confirmedBy = userId;
+  await batch.save();
+
+  return batch;
+};
+
+/**
+ * Cancel a draft batch, releasing its purchases for another batch
+ * @param {Object} batch - Draft batch
+ * @returns {Object} Cancelled batch
+ */
+export const cancelPayoutBatch = async (batch) => {
+  assertDraft(batch);
+
+  const cancelled = await PayoutBatch.findOneAndUpdate(
+    { _id: batch._id, status: 'DRAFT' },
+    { status: 'CANCELLED' },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw httpError(409, 'BATCH_NOT_DRAFT', 'Payout batch was changed by another request');
+  }
+  return cancelled;
+};
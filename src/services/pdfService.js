@@ -0,0 +1,239 @@
+import PDFDocument from 'pdfkit';
+
+const MARGIN = 50;
+const PAGE_WIDTH = 595.28; // A4 in points
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const MUTED = '#666666';
+
+// The built-in PDF fonts have no rupee sign, so amounts are printed as "Rs."
+export const formatRupees = (paise) => `Rs. ${(paise / 100).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+// Other currencies are printed with their ISO code, e.g. "USD 1,234.00"
+const formatAmount = (minor, currency = 'INR') => (currency === 'INR'
+  ? formatRupees(minor)
+  : `${currency} ${(minor / 100).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '-');
+
+const addressLines = (address = {}) => [
+  address.line1,
+  address.line2,
+  [address.city, address.state, address.postalCode].filter(Boolean).join(', '),
+  address.country
+].filter(Boolean);
+
+// Start a PDF response; the document is streamed as it is drawn
+const startDocument = (res, filename, title) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title } });
+  doc.pipe(res);
+  return doc;
+};
+
+// Logo on the left, business details on the right, document title below
+const drawHeader = (doc, business, title) => {
+  if (business.logo?.data) {
+    doc.image(business.logo.data, MARGIN, MARGIN, { fit: [120, 60] });
+  }
+
+  const details = [
+    business.legalName,
+    ...addressLines(business.address),
+    business.gstin && `GSTIN: ${business.gstin}`,
+    business.phone,
+    business.email,
+    business.website
+  ].filter(Boolean);
+
+  doc.font('Helvetica-Bold').fontSize(14)
+    .text(business.name, MARGIN, MARGIN, { width: CONTENT_WIDTH, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+    .text(details.join('\n'), { width: CONTENT_WIDTH, align: 'right' })
+    .fillColor('black');
+
+  doc.y = Math.max(doc.y, MARGIN + 60) + 20;
+  doc.font('Helvetica-Bold').fontSize(18).text(title, MARGIN);
+  doc.moveDown(0.5);
+};
+
+// Two columns of label/value pairs
+const drawFacts = (doc, left, right) => {
+  const top = doc.y;
+  const columnWidth = CONTENT_WIDTH / 2;
+
+  const drawColumn = (facts, x) => {
+    doc.y = top;
+    facts.filter(([, value]) => value).forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').fontSize(9).text(label, x, doc.y, { continued: true, width: columnWidth - 10 })
+        .font('Helvetica').text(`  ${value}`);
+    });
+    return doc.y;
+  };
+
+  doc.y = Math.max(drawColumn(left, MARGIN), drawColumn(right, MARGIN + columnWidth)) + 15;
+};
+
+const drawParty = (doc, heading, lines) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(heading, MARGIN);
+  doc.font('Helvetica').fontSize(10).text(lines.filter(Boolean).join('\n'));
+  doc.moveDown();
+};
+
+// Amount rows right-aligned; the last row is drawn in bold. A row may name its own currency.
+const drawTotals = (doc, rows, currency = 'INR') => {
+  const labelX = MARGIN + CONTENT_WIDTH / 2;
+  const width = CONTENT_WIDTH / 4;
+
+  rows.forEach(([label, paise, rowCurrency = currency], index) => {
+    const bold = index === rows.length - 1;
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10)
+      .text(label, labelX, y, { width })
+      .text(formatAmount(paise, rowCurrency), labelX + width, y, { width, align: 'right' });
+    doc.moveDown(0.3);
+  });
+  doc.moveDown();
+};
+
+const drawFooter = (doc, business) => {
+  if (business.invoiceFooter) {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+      .text(business.invoiceFooter, MARGIN, doc.y + 10, { width: CONTENT_WIDTH, align: 'center' })
+      .fillColor('black');
+  }
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED)
+    .text('This is a computer generated document.', MARGIN, doc.y + 5, { width: CONTENT_WIDTH, align: 'center' })
+    .fillColor('black');
+};
+
+/**
+ * Stream a purchase invoice as PDF.
+ * The client total is what the client pays after discount and including taxes,
+ * so the list price is worked back from it. GST is assessed in INR and printed as such.
+ * @param {Object} res - Express response
+ * @param {Object} purchase - Purchase with invoice number, clientId and productId populated
+ * @param {Object} business - BusinessProfile with logo data
+ */
+export const renderInvoicePdf = (res, purchase, business) => {
+  const { amounts, settlement, gst } = purchase;
+  const currency = amounts.currency || 'INR';
+  const hasGst = gst?.ratePercent !== undefined && gst?.ratePercent !== null;
+  const client = purchase.clientId || {};
+  const product = purchase.productId || {};
+  const listPricePaise = amounts.clientPayTotalPaise + (amounts.discountPaise || 0) - (amounts.taxesPaise || 0);
+
+  const doc = startDocument(res, purchase.invoice.number, `Invoice ${purchase.invoice.number}`);
+  drawHeader(doc, business, business.gstin ? 'Tax Invoice' : 'Invoice');
+
+  drawFacts(doc, [
+    ['Invoice No.', purchase.invoice.number],
+    ['Invoice Date', formatDate(purchase.invoice.issuedAt)],
+    ['Status', ['CANCELLED', 'REFUNDED'].includes(purchase.status) && purchase.status]
+  ], [
+    ['Order ID', purchase.orderId],
+    ['Order Date', formatDate(purchase.purchaseDate)],
+    ['Place of Supply', hasGst && gst.placeOfSupply]
+  ]);
+
+  drawParty(doc, 'Bill To', [client.name, client.phone, client.email, client.gstin && `GSTIN: ${client.gstin}`]);
+
+  // Single line item for the product
+  const tableTop = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text('Description', MARGIN, tableTop)
+    .text('Amount', MARGIN, tableTop, { width: CONTENT_WIDTH, align: 'right' });
+  doc.moveTo(MARGIN, doc.y + 3).lineTo(MARGIN + CONTENT_WIDTH, doc.y + 3).stroke();
+  doc.moveDown(0.6);
+
+  const period = purchase.validity?.startDate
+    ? `${formatDate(purchase.validity.startDate)} to ${formatDate(purchase.validity.endDate)}`
+    : purchase.validity?.durationMonths && `${purchase.validity.durationMonths} months`;
+  const description = [
+    product.sku ? `${product.name} (${product.sku})` : product.name,
+    hasGst && gst.hsnSac && `HSN/SAC: ${gst.hsnSac}`,
+    period && `Validity: ${period}`,
+    purchase.warranty?.hasWarranty && purchase.warranty.endDate && `Warranty until ${formatDate(purchase.warranty.endDate)}`
+  ].filter(Boolean);
+
+  const rowTop = doc.y;
+  doc.font('Helvetica').fontSize(10)
+    .text(description.join('\n'), MARGIN, rowTop, { width: CONTENT_WIDTH * 0.7 });
+  const rowBottom = doc.y;
+  doc.text(formatAmount(listPricePaise, currency), MARGIN, rowTop, { width: CONTENT_WIDTH, align: 'right' });
+  doc.y = rowBottom;
+  doc.moveTo(MARGIN, doc.y + 5).lineTo(MARGIN + CONTENT_WIDTH, doc.y + 5).stroke();
+  doc.moveDown(1.2);
+
+  const totals = [['Subtotal', listPricePaise]];
+  if (amounts.discountPaise) totals.push(['Discount', -amounts.discountPaise]);
+  if (hasGst) {
+    totals.push(['Taxable Value', gst.taxablePaise, 'INR']);
+    if (gst.supplyType === 'INTRA') {
+      totals.push([`CGST @ ${gst.ratePercent / 2}%`, gst.cgstPaise, 'INR'], [`SGST @ ${gst.ratePercent / 2}%`, gst.sgstPaise, 'INR']);
+    } else {
+      totals.push([`IGST @ ${gst.ratePercent}%`, gst.igstPaise, 'INR']);
+    }
+  } else if (amounts.taxesPaise) {
+    totals.push(['Taxes', amounts.taxesPaise]);
+  }
+  totals.push(['Total', amounts.clientPayTotalPaise]);
+  drawTotals(doc, totals, currency);
+
+  drawTotals(doc, [
+    ['Paid', settlement.clientPaidPaise],
+    ['Balance Due', Math.max(settlement.clientDuePaise, 0)]
+  ], currency);
+
+  drawFooter(doc, business);
+  doc.end();
+};
+
+/**
+ * Stream a receipt for one client payment as PDF
+ * @param {Object} res - Express response
+ * @param {Object} payment - CLIENT payment with purchaseId (and its clientId, productId) and receiptId populated
+ * @param {Object} business - BusinessProfile with logo data
+ */
+export const renderPaymentReceiptPdf = (res, payment, business) => {
+  const purchase = payment.purchaseId;
+  const client = purchase.clientId || {};
+  const currency = payment.currency || 'INR';
+  const receiptNumber = payment.receiptId?.number || `PMT-${String(payment._id).slice(-8).toUpperCase()}`;
+
+  const doc = startDocument(res, receiptNumber, `Payment receipt ${receiptNumber}`);
+  drawHeader(doc, business, 'Payment Receipt');
+
+  drawFacts(doc, [
+    ['Receipt No.', receiptNumber],
+    ['Paid On', formatDate(payment.paidOn)],
+    ['Method', payment.method],
+    ['Reference', payment.reference]
+  ], [
+    ['Order ID', purchase.orderId],
+    ['Invoice No.', purchase.invoice?.number],
+    ['Product', purchase.productId?.name]
+  ]);
+
+  drawParty(doc, 'Received From', [client.name, client.phone, client.email]);
+
+  drawTotals(doc, [['Amount Received', payment.amountPaise]], currency);
+  drawTotals(doc, [
+    ['Order Total', purchase.amounts.clientPayTotalPaise],
+    ['Total Paid', purchase.settlement.clientPaidPaise],
+    ['Balance Due', Math.max(purchase.settlement.clientDuePaise, 0)]
+  ], currency);
+
+  if (payment.notes) {
+    doc.font('Helvetica').fontSize(9).text(`Notes: ${payment.notes}`, MARGIN);
+  }
+
+  drawFooter(doc, business);
+  doc.end();
+};
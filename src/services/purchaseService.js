@@ -1,50 +1,119 @@
+import mongoose from 'mongoose';
 import Purchase from '../models/Purchase.js';
 import Payment from '../models/Payment.js';
+import { httpError } from '../utils/httpError.js';
+import { INACTIVE_STATUSES } from './purchaseStatus.js';
+import { nextSequence } from './sequenceService.js';
+import { applyGst } from './taxService.js';
+import { lockFxRates } from './fxService.js';
+
+// Sum payment amounts of one type inside a $group stage, optionally only those (not) moved through the wallet
+const sumOfType = (type, wallet) => {
+  const conditions = [{ $eq: ['$type', type] }];
+  if (wallet !== undefined) conditions.push({ [wallet ? '$eq' : '$ne']: ['$method', 'WALLET'] });
+  return { $sum: { $cond: [{ $and: conditions }, '$amountPaise', 0] } };
+};
+
+/**
+ * Totals per payment type for purchases, in a single aggregation
+ * @param {Object} match - Payment filter (e.g. { purchaseId })
+ * @returns {Array} [{ _id: purchaseId, client, vendor, clientRefund, walletCredit, vendorRefund, fxGain }]
+ */
+export const aggregatePaymentTotals = (match) => Payment.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: '$purchaseId',
+      client: sumOfType('CLIENT'),
+      vendor: sumOfType('VENDOR'),
+      clientRefund: sumOfType('CLIENT_REFUND', false),
+      walletCredit: sumOfType('CLIENT_REFUND', true),
+      vendorRefund: sumOfType('VENDOR_REFUND'),
+      fxGain: { $sum: { $ifNull: ['$fxGainPaise', 0] } }
+    }
+  }
+]);
+
+/**
+ * Settlement figures implied by payment totals; refunds reduce what has effectively been paid.
+ * Overpayments moved to the wallet (CLIENT_REFUND via WALLET) reduce what was paid on this
+ * purchase but stay with the business, so they are not counted as refunded.
+ * @param {Object} totals - Entry from aggregatePaymentTotals (or {} when there are no payments)
+ * @returns {Object} Paid and refunded amounts, and the FX gain in INR
+ */
+export const settlementFromTotals = ({ client = 0, vendor = 0, clientRefund = 0, walletCredit = 0, vendorRefund = 0, fxGain = 0 }) => ({
+  clientPaidPaise: client - clientRefund - walletCredit,
+  vendorPaidPaise: vendor - vendorRefund,
+  clientRefundedPaise: clientRefund,
+  vendorRefundedPaise: vendorRefund,
+  fxGainPaise: fxGain
+});
 
 /**
- * Update purchase settlement amounts based on payments
+ * Allocate the net amount a client has paid to installments, earliest due date first
+ * @param {Array} installments - Plain installment objects ({ dueDate, amountPaise, paidAt })
+ * @param {number} paidPaise - Net client payments
+ * @returns {Array} Installments sorted by due date with paidPaise and paidAt filled in
+ */
+export const allocateInstallments = (installments, paidPaise) => {
+  let remaining = Math.max(paidPaise, 0);
+
+  return [...installments]
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+    .map((installment) => {
+      const allocated = Math.min(remaining, installment.amountPaise);
+      remaining -= allocated;
+
+      return {
+        ...installment,
+        paidPaise: allocated,
+        paidAt: allocated === installment.amountPaise ? installment.paidAt || new Date() : undefined
+      };
+    });
+};
+
+/**
+ * Update purchase settlement amounts based on payments.
+ * Payment totals come from one aggregation and dues are computed by the database from the
+ * stored amounts, so a concurrent amount edit cannot leave stale dues behind. Run it in the
+ * same transaction as the payment write it follows.
  * @param {string} purchaseId - Purchase ID
+ * @returns {Object} Updated purchase
  */
 export const updatePurchaseSettlement = async (purchaseId) => {
   try {
-    // Get all payments for this purchase
-    const payments = await Payment.find({ purchaseId });
-    
-    // Calculate totals by type
-    const clientPaidPaise = payments
-      .filter(p => p.type === 'CLIENT')
-      .reduce((sum, p) => sum + p.amountPaise, 0);
-    
-    const vendorPaidPaise = payments
-      .filter(p => p.type === 'VENDOR')
-      .reduce((sum, p) => sum + p.amountPaise, 0);
-
-    // Get the purchase to calculate dues
-    const purchase = await Purchase.findById(purchaseId);
-    if (!purchase) {
-      throw new Error('Purchase not found');
-    }
+    const id = new mongoose.Types.ObjectId(purchaseId);
+    const [totals = {}] = await aggregatePaymentTotals({ purchaseId: id });
+    const paid = settlementFromTotals(totals);
 
-    // Calculate dues
-    const clientDuePaise = purchase.amounts.clientPayTotalPaise - clientPaidPaise;
-    const vendorDuePaise = purchase.amounts.vendorPayTotalPaise - vendorPaidPaise;
+    // Status changes go through the status endpoints
+    const purchase = await Purchase.findOneAndUpdate(
+      { _id: id },
+      [{
+        $set: {
+          'settlement.clientPaidPaise': paid.clientPaidPaise,
+          'settlement.vendorPaidPaise': paid.vendorPaidPaise,
+          'settlement.clientRefundedPaise': paid.clientRefundedPaise,
+          'settlement.vendorRefundedPaise': paid.vendorRefundedPaise,
+          'settlement.fxGainPaise': paid.fxGainPaise,
+          'settlement.clientDuePaise': { $subtract: ['$amounts.clientPayTotalPaise', paid.clientPaidPaise] },
+          'settlement.vendorDuePaise': { $subtract: ['$amounts.vendorPayTotalPaise', paid.vendorPaidPaise] }
+        }
+      }],
+      { new: true }
+    );
 
-    // Update settlement
-    purchase.settlement = {
-      clientPaidPaise,
-      vendorPaidPaise,
-      clientDuePaise,
-      vendorDuePaise
-    };
+    if (!purchase) {
+      throw httpError(404, 'PURCHASE_NOT_FOUND', 'Purchase not found');
+    }
 
-    // Update status based on settlement
-    if (clientDuePaise <= 0 && vendorDuePaise <= 0) {
-      purchase.status = 'COMPLETED';
-    } else if (purchase.status === 'COMPLETED' && (clientDuePaise > 0 || vendorDuePaise > 0)) {
-      purchase.status = 'OPEN';
+    // Spread what the client has paid over the installment plan
+    if (purchase.paymentSchedule.length > 0) {
+      const installments = purchase.paymentSchedule.map(installment => installment.toObject());
+      purchase.paymentSchedule = allocateInstallments(installments, purchase.settlement.clientPaidPaise);
+      await purchase.save();
     }
 
-    await purchase.save();
     return purchase;
   } catch (error) {
     console.error('Error updating purchase settlement:', error);
@@ -52,30 +121,242 @@ export const updatePurchaseSettlement = async (purchaseId) => {
   }
 };
 
+const SETTLEMENT_FIELDS = [
+  'clientPaidPaise', 'vendorPaidPaise', 'clientRefundedPaise', 'vendorRefundedPaise', 'clientDuePaise', 'vendorDuePaise',
+  'fxGainPaise'
+];
+
 /**
- * Generate next order ID
- * @param {string} prefix - Order ID prefix (default: 'PH')
- * @returns {string} Next order ID
+ * Find purchases whose stored settlement no longer matches their payments
+ * @returns {Array} [{ purchaseId, orderId, stored, expected }]
  */
-export const generateOrderId = async (prefix = 'PH') => {
-  const year = new Date().getFullYear();
-  const yearStr = year.toString();
-  
-  // Find the latest order ID for this year
-  const latestPurchase = await Purchase.findOne({
-    orderId: { $regex: `^${prefix}-${yearStr}-` }
-  }).sort({ orderId: -1 });
-
-  let nextNumber = 1;
-  if (latestPurchase) {
-    const parts = latestPurchase.orderId.split('-');
-    if (parts.length >= 3) {
-      const currentNumber = parseInt(parts[2]);
-      if (!isNaN(currentNumber)) {
-        nextNumber = currentNumber + 1;
+export const findSettlementDrift = async () => {
+  const cursor = Purchase.aggregate([
+    { $project: { orderId: 1, amounts: 1, settlement: 1 } },
+    {
+      $lookup: {
+        from: Payment.collection.name,
+        let: { purchaseId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$purchaseId', '$$purchaseId'] }, deletedAt: null } },
+          {
+            $group: {
+              _id: null,
+              client: sumOfType('CLIENT'),
+              vendor: sumOfType('VENDOR'),
+              clientRefund: sumOfType('CLIENT_REFUND', false),
+              walletCredit: sumOfType('CLIENT_REFUND', true),
+              vendorRefund: sumOfType('VENDOR_REFUND'),
+              fxGain: { $sum: { $ifNull: ['$fxGainPaise', 0] } }
+            }
+          }
+        ],
+        as: 'totals'
       }
     }
+  ]).cursor();
+
+  const drift = [];
+  for await (const purchase of cursor) {
+    const paid = settlementFromTotals(purchase.totals[0] || {});
+    const expected = {
+      ...paid,
+      clientDuePaise: purchase.amounts.clientPayTotalPaise - paid.clientPaidPaise,
+      vendorDuePaise: purchase.amounts.vendorPayTotalPaise - paid.vendorPaidPaise
+    };
+
+    const stored = purchase.settlement || {};
+    if (SETTLEMENT_FIELDS.some(field => (stored[field] || 0) !== expected[field])) {
+      drift.push({ purchaseId: purchase._id, orderId: purchase.orderId, stored, expected });
+    }
   }
 
-  return `${prefix}-${yearStr}-${nextNumber.toString().padStart(5, '0')}`;
+  return drift;
+};
+
+// Default order ID prefixes per source platform, overridable with ORDER_ID_PREFIXES
+const DEFAULT_ORDER_PREFIXES = {
+  WHATSAPP: 'WA',
+  INSTAGRAM: 'IG',
+  WEBSITE: 'WEB',
+  OTHER: 'PH'
+};
+
+/**
+ * Order ID prefixes per source platform, e.g. ORDER_ID_PREFIXES="WHATSAPP:WA,INSTAGRAM:IG"
+ * @returns {Object} Map of sourcePlatform -> prefix
+ */
+export const getOrderPrefixes = () => {
+  const overrides = (process.env.ORDER_ID_PREFIXES || '')
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([platform, prefix]) => platform && prefix)
+    .reduce((acc, [platform, prefix]) => ({ ...acc, [platform.toUpperCase()]: prefix }), {});
+
+  return { ...DEFAULT_ORDER_PREFIXES, ...overrides };
+};
+
+/**
+ * Sequence period for a date (UTC): calendar year (2025) or, with ORDER_ID_RESET=fiscal,
+ * the Indian fiscal year starting in April (FY2526)
+ * @param {Date} date - Reference date
+ * @returns {string} Period label
+ */
+export const getOrderPeriod = (date = new Date()) => {
+  const year = date.getUTCFullYear();
+
+  if (process.env.ORDER_ID_RESET === 'fiscal') {
+    const startYear = date.getUTCMonth() >= 3 ? year : year - 1;
+    const short = (value) => String(value % 100).padStart(2, '0');
+    return `FY${short(startYear)}${short(startYear + 1)}`;
+  }
+
+  return String(year);
+};
+
+/**
+ * Generate the next order ID for a source platform, e.g. WA-2025-00042.
+ * Numbers come from an atomic counter per prefix and period, so concurrent
+ * creates never receive the same ID.
+ * @param {string} sourcePlatform - Purchase source platform
+ * @param {Date} date - Date that decides the sequence period (default: now)
+ * @returns {string} Next order ID
+ */
+export const generateOrderId = async (sourcePlatform = 'OTHER', date = new Date()) => {
+  const prefixes = getOrderPrefixes();
+  const prefix = prefixes[sourcePlatform] || prefixes.OTHER;
+  const period = getOrderPeriod(date);
+  const idPrefix = `${prefix}-${period}-`;
+
+  // Start after the highest existing ID when a sequence is first used
+  const seed = async () => {
+    const escaped = idPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const [latest] = await Purchase.collection
+      .find({ orderId: { $regex: `^${escaped}\\d+$` } }, { projection: { orderId: 1 } })
+      .sort({ orderId: -1 })
+      .limit(1)
+      .toArray();
+
+    return latest ? parseInt(latest.orderId.slice(idPrefix.length)) || 0 : 0;
+  };
+
+  const number = await nextSequence(`order:${prefix}:${period}`, seed);
+  return `${idPrefix}${number.toString().padStart(5, '0')}`;
+};
+
+/**
+ * Create a renewal purchase linked to an existing purchase
+ * @param {string} purchaseId - Purchase being renewed
+ * @param {Object} data - Renewal overrides (orderId, purchaseDate, durationMonths, amounts, ...)
+ * @param {string} userId - User creating the renewal
+ * @returns {Object} The new renewal purchase
+ */
+export const renewPurchase = async (purchaseId, data, userId) => {
+  const previous = await Purchase.findById(purchaseId);
+  if (!previous) {
+    throw httpError(404, 'PURCHASE_NOT_FOUND', 'Purchase not found');
+  }
+
+  if (INACTIVE_STATUSES.includes(previous.status)) {
+    throw httpError(400, 'PURCHASE_INACTIVE', `${previous.status} purchases cannot be renewed`);
+  }
+
+  if (!previous.validity?.endDate) {
+    throw httpError(400, 'NO_VALIDITY', 'Purchase has no validity end date to renew from');
+  }
+
+  const alreadyRenewed = await Purchase.exists({ 'renewal.previousPurchaseId': previous._id });
+  if (alreadyRenewed) {
+    throw httpError(409, 'ALREADY_RENEWED', 'Purchase has already been renewed');
+  }
+
+  const { activation } = previous;
+  const purchaseDate = data.purchaseDate ? new Date(data.purchaseDate) : new Date();
+
+  const renewal = new Purchase({
+    orderId: data.orderId || await generateOrderId(data.sourcePlatform || previous.sourcePlatform, purchaseDate),
+    sourcePlatform: data.sourcePlatform || previous.sourcePlatform,
+    sourceRef: data.sourceRef,
+    clientId: previous.clientId,
+    productId: previous.productId,
+    vendorId: data.vendorId || previous.vendorId,
+    purchaseDate,
+    renewal: {
+      previousPurchaseId: previous._id,
+      rootPurchaseId: previous.renewal?.rootPurchaseId || previous._id
+    },
+    validity: {
+      durationMonths: data.durationMonths || previous.validity.durationMonths,
+      startDate: previous.validity.endDate
+    },
+    warranty: {
+      hasWarranty: previous.warranty?.hasWarranty || false,
+      months: previous.warranty?.months
+    },
+    activation: {
+      method: activation.method,
+      credentials: {
+        username: activation.credentials?.username,
+        passwordEncrypted: activation.credentials?.passwordEncrypted
+      },
+      couponCode: activation.couponCode,
+      emailInvite: activation.emailInvite?.invitedEmail
+        ? { invitedEmail: activation.emailInvite.invitedEmail }
+        : undefined
+    },
+    amounts: {
+      clientPayTotalPaise: previous.amounts.clientPayTotalPaise,
+      vendorPayTotalPaise: previous.amounts.vendorPayTotalPaise,
+      discountPaise: previous.amounts.discountPaise,
+      taxesPaise: previous.amounts.taxesPaise,
+      feesPaise: previous.amounts.feesPaise,
+      currency: previous.amounts.currency,
+      vendorCurrency: previous.amounts.vendorCurrency,
+      ...data.amounts
+    },
+    people: previous.people,
+    createdBy: userId
+  });
+
+  if (data.activation?.credentials?.password) {
+    renewal.setPassword(data.activation.credentials.password);
+  }
+
+  if (data.activation?.credentials?.username) {
+    renewal.activation.credentials.username = data.activation.credentials.username;
+  }
+
+  await lockFxRates(renewal);
+  await applyGst(renewal);
+
+  try {
+    await renewal.save();
+  } catch (error) {
+    // Another request renewed the purchase between the check above and this save
+    if (error.code === 11000 && error.keyPattern?.['renewal.previousPurchaseId']) {
+      throw httpError(409, 'ALREADY_RENEWED', 'Purchase has already been renewed');
+    }
+    throw error;
+  }
+  return renewal;
+};
+
+/**
+ * Get the full renewal chain a purchase belongs to, oldest first
+ * @param {string} purchaseId - Any purchase in the chain
+ * @returns {Array|null} Purchases in the chain, or null if the purchase does not exist
+ */
+export const getRenewalChain = async (purchaseId) => {
+  const purchase = await Purchase.findById(purchaseId).select('renewal');
+  if (!purchase) return null;
+
+  const rootId = purchase.renewal?.rootPurchaseId || purchase._id;
+
+  return Purchase.find({
+    $or: [{ _id: rootId }, { 'renewal.rootPurchaseId': rootId }]
+  })
+    .populate('productId', 'name sku')
+    .populate('createdBy', 'name')
+    .select('-activation.credentials.passwordEncrypted')
+    .sort({ 'validity.startDate': 1, purchaseDate: 1 });
 };
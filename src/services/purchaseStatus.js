@@ -0,0 +1,112 @@
+import Purchase from '../models/Purchase.js';
+import { reverseRedemptions } from './couponService.js';
+import { httpError } from '../utils/httpError.js';
+
+export const PURCHASE_STATUSES = ['OPEN', 'ACTIVATED', 'COMPLETED', 'CANCELLED', 'REFUND_REQUESTED', 'REFUNDED'];
+
+// Allowed transitions: current status -> statuses it may move to
+export const STATUS_TRANSITIONS = {
+  OPEN: ['ACTIVATED', 'CANCELLED'],
+  ACTIVATED: ['COMPLETED', 'CANCELLED', 'REFUND_REQUESTED'],
+  COMPLETED: ['REFUND_REQUESTED'],
+  REFUND_REQUESTED: ['REFUNDED', 'ACTIVATED', 'COMPLETED'], // refund approved or rejected
+  CANCELLED: [],
+  REFUNDED: []
+};
+
+// Statuses that no longer represent a live subscription
+export const INACTIVE_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+/**
+ * Status actions exposed as dedicated endpoints (POST /purchases/:id/<action>)
+ * Each action moves a purchase to one target status and is limited to the listed roles.
+ */
+export const STATUS_ACTIONS = {
+  activate: { to: 'ACTIVATED', roles: ['admin', 'manager', 'sales'] },
+  complete: {
+    to: 'COMPLETED',
+    roles: ['admin', 'manager', 'finance'],
+    guard: (purchase) => {
+      if (purchase.settlement.clientDuePaise > 0 || purchase.settlement.vendorDuePaise > 0) {
+        return 'Purchase cannot be completed while client or vendor dues are outstanding';
+      }
+      return null;
+    }
+  },
+  cancel: { to: 'CANCELLED', roles: ['admin', 'manager'] },
+  'request-refund': { to: 'REFUND_REQUESTED', roles: ['admin', 'manager', 'sales', 'finance'] },
+  refund: { to: 'REFUNDED', roles: ['admin', 'manager', 'finance'] },
+  'reject-refund': {
+    // Return to the status the purchase had before the refund was requested
+    to: (purchase) => {
+      const request = [...purchase.statusHistory].reverse().find(entry => entry.to === 'REFUND_REQUESTED');
+      return request?.from === 'COMPLETED' ? 'COMPLETED' : 'ACTIVATED';
+    },
+    roles: ['admin', 'manager', 'finance']
+  }
+};
+
+/**
+ * Check whether a purchase may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Apply a status action to a purchase and record it in the status history.
+ * Role checks happen in the route via authorize(...STATUS_ACTIONS[action].roles).
+ * Cancelling also reverses the purchase's coupon redemptions; call inside a transaction.
+ * @param {string} purchaseId - Purchase ID
+ * @param {string} action - Key of STATUS_ACTIONS
+ * @param {Object} options - { reason, user }
+ * @returns {Object} Updated purchase
+ */
+export const transitionPurchaseStatus = async (purchaseId, action, { reason, user }) => {
+  const definition = STATUS_ACTIONS[action];
+  if (!definition) {
+    throw httpError(400, 'INVALID_ACTION', `Unknown status action: ${action}`);
+  }
+
+  const purchase = await Purchase.findById(purchaseId);
+  if (!purchase) {
+    throw httpError(404, 'PURCHASE_NOT_FOUND', 'Purchase not found');
+  }
+
+  const from = purchase.status;
+  const to = typeof definition.to === 'function' ? definition.to(purchase) : definition.to;
+
+  if (!canTransition(from, to)) {
+    throw httpError(409, 'INVALID_TRANSITION', `Cannot change status from ${from} to ${to}`);
+  }
+
+  const guardError = definition.guard?.(purchase);
+  if (guardError) {
+    throw httpError(409, 'TRANSITION_BLOCKED', guardError);
+  }
+
+  // Only apply if nobody changed the status in the meantime
+  const updated = await Purchase.findOneAndUpdate(
+    { _id: purchase._id, status: from },
+    {
+      $set: { status: to, updatedBy: user._id },
+      $push: {
+        statusHistory: { from, to, reason, changedBy: user._id, changedAt: new Date() }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw httpError(409, 'STATUS_CONFLICT', 'Purchase status was changed by another request');
+  }
+
+  if (to === 'CANCELLED') {
+    await reverseRedemptions(updated._id, { reason, userId: user._id });
+  }
+
+  return updated;
+};
@@ -0,0 +1,221 @@
+import Receipt from '../models/Receipt.js';
+import Purchase from '../models/Purchase.js';
+import Payment from '../models/Payment.js';
+import { nextSequence } from './sequenceService.js';
+import { getOrderPeriod, updatePurchaseSettlement } from './purchaseService.js';
+import { INACTIVE_STATUSES } from './purchaseStatus.js';
+import { BASE_CURRENCY, matchCurrency } from './fxService.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Generate the next receipt number, e.g. RC-2025-00001 (follows ORDER_ID_RESET periods)
+ * @param {Date} date - Receipt date
+ * @returns {string} Receipt number
+ */
+export const generateReceiptNumber = async (date = new Date()) => {
+  const period = getOrderPeriod(date);
+  const number = await nextSequence(`receipt:${period}`);
+  return `RC-${period}-${number.toString().padStart(5, '0')}`;
+};
+
+/**
+ * Purchases of a client that still have client dues, oldest first
+ * @param {string} clientId - Client ID
+ * @returns {Array} Purchases
+ */
+export const getOutstandingPurchases = (clientId) => {
+  return Purchase.find({
+    clientId,
+    status: { $nin: INACTIVE_STATUSES },
+    'amounts.currency': matchCurrency(BASE_CURRENCY), // receipts are INR money
+    'settlement.clientDuePaise': { $gt: 0 }
+  })
+    .select('orderId purchaseDate amounts settlement status')
+    .sort({ purchaseDate: 1, createdAt: 1 });
+};
+
+// Spread an amount over outstanding purchases, settling the oldest dues first
+const planAutoAllocation = (purchases, amountPaise) => {
+  const lines = [];
+  let remaining = amountPaise;
+
+  for (const purchase of purchases) {
+    if (remaining <= 0) break;
+    const amount = Math.min(remaining, purchase.settlement.clientDuePaise);
+    lines.push({ purchaseId: purchase._id.toString(), amountPaise: amount });
+    remaining -= amount;
+  }
+
+  return lines;
+};
+
+// Check manual allocation lines against the client's purchases and their dues
+const validateLines = async (receipt, lines) => {
+  const purchaseIds = [...new Set(lines.map(line => line.purchaseId))];
+  const purchases = await Purchase.find({ _id: { $in: purchaseIds } });
+  const byId = new Map(purchases.map(purchase => [purchase._id.toString(), purchase]));
+  const requested = new Map();
+
+  for (const line of lines) {
+    const purchase = byId.get(line.purchaseId);
+    if (!purchase) {
+      throw httpError(404, 'PURCHASE_NOT_FOUND', `Purchase not found: ${line.purchaseId}`);
+    }
+
+    if (!purchase.clientId.equals(receipt.clientId)) {
+      throw httpError(400, 'CLIENT_MISMATCH', `Purchase ${purchase.orderId} belongs to a different client`);
+    }
+
+    if (INACTIVE_STATUSES.includes(purchase.status)) {
+      throw httpError(400, 'PURCHASE_INACTIVE', `Cannot allocate to ${purchase.status} purchase ${purchase.orderId}`);
+    }
+
+    if ((purchase.amounts.currency || BASE_CURRENCY) !== BASE_CURRENCY) {
+      throw httpError(422, 'CURRENCY_MISMATCH', `Receipts are in INR but ${purchase.orderId} is billed in ${purchase.amounts.currency}`);
+    }
+
+    const total = (requested.get(line.purchaseId) || 0) + line.amountPaise;
+    if (total > purchase.settlement.clientDuePaise) {
+      throw httpError(422, 'ALLOCATION_EXCEEDS_DUE',
+        `Allocation to ${purchase.orderId} exceeds its client due (${purchase.settlement.clientDuePaise} paise)`);
+    }
+    requested.set(line.purchaseId, total);
+  }
+};
+
+/**
+ * Allocate (part of) the unallocated amount of a receipt to purchases.
+ * Each line is booked as a CLIENT payment linked to the receipt.
+ * @param {Object} receipt - Receipt document
+ * @param {Array|undefined} lines - [{ purchaseId, amountPaise }]; omitted to auto-allocate oldest dues first
+ * @param {string} userId - Acting user
+ * @returns {Object} Updated receipt
+ */
+export const allocateReceipt = async (receipt, lines, userId) => {
+  if (!lines) {
+    const outstanding = await getOutstandingPurchases(receipt.clientId);
+    lines = planAutoAllocation(outstanding, receipt.unallocatedPaise);
+  } else {
+    await validateLines(receipt, lines);
+  }
+
+  const totalPaise = lines.reduce((sum, line) => sum + line.amountPaise, 0);
+  if (totalPaise > receipt.unallocatedPaise) {
+    throw httpError(422, 'ALLOCATION_EXCEEDS_RECEIPT',
+      `Allocations exceed the unallocated amount (${receipt.unallocatedPaise} paise)`);
+  }
+
+  for (const line of lines) {
+    const payment = await Payment.create({
+      purchaseId: line.purchaseId,
+      type: 'CLIENT',
+      amountPaise: line.amountPaise,
+      paidOn: receipt.receivedOn,
+      method: receipt.method,
+      reference: receipt.reference,
+      screenshotUrl: receipt.screenshotUrl,
+      notes: `Receipt ${receipt.number}`,
+      receiptId: receipt._id,
+      createdBy: userId
+    });
+
+    receipt.allocations.push({
+      purchaseId: line.purchaseId,
+      paymentId: payment._id,
+      amountPaise: line.amountPaise,
+      allocatedBy: userId
+    });
+  }
+
+  await receipt.save();
+
+  // Update settlement of every affected purchase
+  const purchaseIds = [...new Set(lines.map(line => line.purchaseId.toString()))];
+  for (const purchaseId of purchaseIds) {
+    await updatePurchaseSettlement(purchaseId);
+  }
+
+  return receipt;
+};
+
+/**
+ * Record a receipt and allocate it, either with the given lines or automatically
+ * @param {Object} data - Receipt fields plus optional allocations and autoAllocate flag
+ * @param {string} userId - Acting user
+ * @returns {Object} Receipt
+ */
+export const createReceipt = async ({ allocations, autoAllocate = true, ...data }, userId) => {
+  const receipt = new Receipt({
+    ...data,
+    number: await generateReceiptNumber(new Date(data.receivedOn)),
+    createdBy: userId
+  });
+  await receipt.save();
+
+  if (allocations?.length) {
+    return allocateReceipt(receipt, allocations, userId);
+  }
+
+  if (autoAllocate) {
+    return allocateReceipt(receipt, undefined, userId);
+  }
+
+  return receipt;
+};
+
+/**
+ * Update receipt details; payment date and method changes carry over to its payments
+ * @param {Object} receipt - Receipt document
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated receipt
+ */
+export const updateReceipt = async (receipt, data) => {
+  if (data.amountPaise !== undefined && data.amountPaise < receipt.allocatedPaise) {
+    throw httpError(422, 'AMOUNT_BELOW_ALLOCATED',
+      `Amount cannot be less than what is already allocated (${receipt.allocatedPaise} paise)`);
+  }
+
+  receipt.set(data);
+  await receipt.save();
+
+  const paymentFields = ['receivedOn', 'method', 'reference', 'screenshotUrl']
+    .filter(field => data[field] !== undefined);
+
+  if (paymentFields.length) {
+    const payments = await Payment.find({ receiptId: receipt._id });
+    for (const payment of payments) {
+      payment.paidOn = receipt.receivedOn;
+      payment.method = receipt.method;
+      payment.reference = receipt.reference;
+      payment.screenshotUrl = receipt.screenshotUrl;
+      await payment.save();
+    }
+  }
+
+  return receipt;
+};
+
+/**
+ * Take back the allocation lines of a receipt for one purchase, returning the amount to unallocated
+ * @param {Object} receipt - Receipt document
+ * @param {string} purchaseId - Purchase to deallocate
+ * @param {string} userId - Acting user
+ * @returns {Object} Updated receipt
+ */
+export const removeAllocation = async (receipt, purchaseId, userId) => {
+  const lines = receipt.allocations.filter(line => line.purchaseId.toString() === purchaseId);
+  if (lines.length === 0) {
+    throw httpError(404, 'ALLOCATION_NOT_FOUND', 'Receipt has no allocation to this purchase');
+  }
+
+  const payments = await Payment.find({ _id: { $in: lines.map(line => line.paymentId) } });
+  for (const payment of payments) {
+    await payment.softDelete(userId);
+  }
+
+  receipt.allocations = receipt.allocations.filter(line => line.purchaseId.toString() !== purchaseId);
+  await receipt.save();
+  await updatePurchaseSettlement(purchaseId);
+
+  return receipt;
+};
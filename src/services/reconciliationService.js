@@ -0,0 +1,460 @@
+import mongoose from 'mongoose';
+import BankStatement from '../models/BankStatement.js';
+import StatementLine from '../models/StatementLine.js';
+import StatementProfile from '../models/StatementProfile.js';
+import Payment from '../models/Payment.js';
+import Purchase from '../models/Purchase.js';
+import { updatePurchaseSettlement } from './purchaseService.js';
+import { assertRefundWithinPaid, issueCreditNote } from './creditNoteService.js';
+import { captureOverpayment } from './walletService.js';
+import { BASE_CURRENCY, matchCurrency } from './fxService.js';
+import { parseCsvWithLines } from '../utils/csv.js';
+import { httpError } from '../utils/httpError.js';
+
+const MAX_LINES = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payment types that show up as money in (CREDIT) or out (DEBIT) on a statement
+export const DIRECTION_TYPES = {
+  CREDIT: ['CLIENT', 'VENDOR_REFUND'],
+  DEBIT: ['VENDOR', 'CLIENT_REFUND']
+};
+
+// Methods that never pass through the bank account
+const OFF_STATEMENT_METHODS = ['CASH', 'WALLET'];
+
+// Lines the matcher may (re)consider
+const OPEN_STATUSES = ['MATCHED', 'SUSPICIOUS', 'UNMATCHED'];
+
+/**
+ * Days a statement date may differ from a payment's paidOn (RECONCILE_DATE_TOLERANCE_DAYS, default 2)
+ * @returns {number} Tolerance in days
+ */
+export const getDateToleranceDays = () => {
+  const days = parseInt(process.env.RECONCILE_DATE_TOLERANCE_DAYS);
+  return Number.isNaN(days) ? 2 : days;
+};
+
+const parseDate = (value, format) => {
+  if (!value) return null;
+
+  if (format === 'YYYY-MM-DD') {
+    const date = new Date(value.slice(0, 10));
+    return isNaN(date) ? null : date;
+  }
+
+  const match = value.match(/^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{2,4})/);
+  if (!match) return null;
+
+  const [, first, second, rawYear] = match;
+  const [dayPart, monthPart] = format === 'MM/DD/YYYY' ? [second, first] : [first, second];
+  const year = rawYear.length === 2 ? 2000 + Number(rawYear) : Number(rawYear);
+  const date = new Date(Date.UTC(year, Number(monthPart) - 1, Number(dayPart)));
+
+  return isNaN(date) ? null : date;
+};
+
+// "₹1,250.00", "(500.00)", "-500", "500 DR" -> signed paise
+const parseAmount = (value) => {
+  if (!value) return null;
+
+  let text = value.replace(/[₹,\s]/g, '').toUpperCase();
+  let sign = 1;
+
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith('DR')) sign = -1;
+  text = text.replace(/(CR|DR)$/, '');
+
+  const amount = Number(text);
+  return Number.isNaN(amount) ? null : Math.round(amount * 100) * sign;
+};
+
+/**
+ * Read statement lines from CSV using a profile's column mapping
+ * @param {string} text - CSV content
+ * @param {Object} profile - Statement profile
+ * @returns {Object} { lines, rowErrors }
+ */
+export const parseStatement = (text, profile) => {
+  const rows = parseCsvWithLines(text, { skipLines: profile.skipRows || 0 });
+  if (rows.length === 0) return { lines: [], rowErrors: [] };
+
+  const keys = Object.keys(rows[0].record);
+  const { columns } = profile;
+
+  const missing = ['date', 'amount', 'credit', 'debit', 'reference', 'description']
+    .map(field => columns[field])
+    .filter(name => name && !keys.includes(name));
+  if (missing.length > 0) {
+    throw httpError(400, 'COLUMNS_MISSING', `Statement is missing columns: ${missing.join(', ')}`);
+  }
+
+  const lines = [];
+  const rowErrors = [];
+
+  rows.forEach(({ line: row, record }) => {
+    // Skip blank rows and footers such as closing balance lines
+    if (!record[columns.date]) return;
+
+    const errors = [];
+    const date = parseDate(record[columns.date], profile.dateFormat);
+    if (!date) errors.push(`Invalid date: ${record[columns.date]}`);
+
+    let amountPaise;
+    if (columns.amount) {
+      amountPaise = parseAmount(record[columns.amount]);
+    } else {
+      const credit = parseAmount(record[columns.credit]);
+      const debit = parseAmount(record[columns.debit]);
+      amountPaise = credit ? Math.abs(credit) : debit ? -Math.abs(debit) : null;
+    }
+    if (!amountPaise) errors.push('Missing or invalid amount');
+
+    if (errors.length) {
+      rowErrors.push({ row, messages: errors });
+      return;
+    }
+
+    lines.push({
+      row,
+      date,
+      direction: amountPaise > 0 ? 'CREDIT' : 'DEBIT',
+      amountPaise: Math.abs(amountPaise),
+      reference: columns.reference ? record[columns.reference] || undefined : undefined,
+      description: columns.description ? record[columns.description] || undefined : undefined
+    });
+  });
+
+  return { lines, rowErrors };
+};
+
+const normalize = (value) => (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// A payment reference counts when it appears in the line's reference or narration
+const referenceMatches = (line, payment) => {
+  const reference = normalize(payment.reference);
+  if (reference.length < 4) return false;
+  return normalize(line.reference).includes(reference) || normalize(line.description).includes(reference);
+};
+
+/**
+ * Find the best payment for a statement line and classify it
+ * @param {Object} line - Statement line document
+ * @param {Set} claimed - Payment IDs already suggested for other lines
+ */
+const matchLine = async (line, claimed) => {
+  const toleranceMs = getDateToleranceDays() * DAY_MS;
+  const unreconciled = {
+    type: { $in: DIRECTION_TYPES[line.direction] },
+    method: { $nin: OFF_STATEMENT_METHODS },
+    currency: matchCurrency(BASE_CURRENCY), // statements are in INR
+    statementLineId: null,
+    _id: { $nin: [...claimed] }
+  };
+
+  const candidates = await Payment.find({
+    ...unreconciled,
+    amountPaise: line.amountPaise,
+    paidOn: { $gte: new Date(line.date.getTime() - toleranceMs), $lte: new Date(line.date.getTime() + toleranceMs) }
+  }).sort({ paidOn: 1 });
+
+  const byReference = candidates.filter(payment => referenceMatches(line, payment));
+
+  let payment = null;
+  let status = 'UNMATCHED';
+  let notes = [];
+
+  if (byReference.length === 1) {
+    [payment] = byReference;
+    status = 'MATCHED';
+    notes = ['Reference, amount and date match'];
+  } else if (candidates.length === 1) {
+    [payment] = candidates;
+    if (payment.reference && (line.reference || line.description)) {
+      status = 'SUSPICIOUS';
+      notes = ['Amount and date match but the reference differs'];
+    } else {
+      status = 'MATCHED';
+      notes = ['Amount and date match'];
+    }
+  } else if (candidates.length > 1) {
+    status = 'SUSPICIOUS';
+    notes = [`${candidates.length} payments match the amount and date`];
+  } else if (line.reference) {
+    // Same reference with a different amount or date is worth a look
+    const sameReference = await Payment.find({
+      ...unreconciled,
+      reference: { $regex: `^${line.reference.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' }
+    }).limit(5);
+
+    if (sameReference.length > 0) {
+      status = 'SUSPICIOUS';
+      notes = ['Reference matches but the amount or date differs'];
+      line.candidateIds = sameReference.map(item => item._id);
+    }
+  }
+
+  if (candidates.length > 0) {
+    line.candidateIds = (byReference.length > 1 ? byReference : candidates).map(item => item._id);
+  }
+
+  line.status = status;
+  line.paymentId = payment?._id;
+  line.matchNotes = notes;
+  if (payment) claimed.add(payment._id);
+
+  await line.save();
+};
+
+/**
+ * (Re)run auto-matching for the open lines of a statement; confirmed and ignored lines are kept
+ * @param {string} statementId - Statement ID
+ */
+export const matchStatement = async (statementId) => {
+  const lines = await StatementLine.find({ statementId, status: { $in: OPEN_STATUSES } }).sort({ row: 1 });
+
+  // Payments suggested for a line of another statement stay available until confirmed
+  const claimed = new Set();
+  for (const line of lines) {
+    line.candidateIds = [];
+    await matchLine(line, claimed);
+  }
+};
+
+/**
+ * Upload a statement, store its lines and auto-match them
+ * @param {string} csvText - Statement CSV
+ * @param {Object} options - { profileId, filename, userId }
+ * @returns {Object} Statement with summary
+ */
+export const importStatement = async (csvText, { profileId, filename, userId }) => {
+  const profile = await StatementProfile.findById(profileId);
+  if (!profile) {
+    throw httpError(404, 'PROFILE_NOT_FOUND', 'Statement profile not found');
+  }
+
+  const { lines, rowErrors } = parseStatement(csvText, profile);
+
+  if (lines.length === 0) {
+    throw httpError(400, 'EMPTY_STATEMENT', 'Statement has no readable transaction lines');
+  }
+
+  if (lines.length > MAX_LINES) {
+    throw httpError(413, 'TOO_MANY_LINES', `Statements are limited to ${MAX_LINES} lines`);
+  }
+
+  const dates = lines.map(line => line.date.getTime());
+  const statement = await BankStatement.create({
+    filename,
+    profileId,
+    periodStart: new Date(Math.min(...dates)),
+    periodEnd: new Date(Math.max(...dates)),
+    lineCount: lines.length,
+    rowErrors,
+    uploadedBy: userId
+  });
+
+  await StatementLine.insertMany(lines.map(line => ({ ...line, statementId: statement._id })));
+  await matchStatement(statement._id);
+
+  return { statement, summary: await getStatementSummary(statement) };
+};
+
+/**
+ * Recorded payments in a statement's period that no statement line accounts for
+ * @param {Object} statement - Statement document
+ * @returns {Array} Payments
+ */
+export const getUnreconciledPayments = (statement) => {
+  const toleranceMs = getDateToleranceDays() * DAY_MS;
+
+  return Payment.find({
+    method: { $nin: OFF_STATEMENT_METHODS },
+    statementLineId: null,
+    paidOn: {
+      $gte: new Date(statement.periodStart.getTime() - toleranceMs),
+      $lte: new Date(statement.periodEnd.getTime() + toleranceMs)
+    }
+  })
+    .populate('purchaseId', 'orderId')
+    .sort({ paidOn: 1 });
+};
+
+/**
+ * Count statement lines per status, plus recorded payments missing from the statement
+ * @param {Object} statement - Statement document
+ * @returns {Object} Summary
+ */
+export const getStatementSummary = async (statement) => {
+  const counts = await StatementLine.aggregate([
+    { $match: { statementId: new mongoose.Types.ObjectId(statement._id) } },
+    { $group: { _id: '$status', count: { $sum: 1 }, amountPaise: { $sum: '$amountPaise' } } }
+  ]);
+
+  const byStatus = ['MATCHED', 'SUSPICIOUS', 'UNMATCHED', 'CONFIRMED', 'IGNORED'].reduce((acc, status) => {
+    const entry = counts.find(item => item._id === status);
+    return { ...acc, [status]: { count: entry?.count || 0, amountPaise: entry?.amountPaise || 0 } };
+  }, {});
+
+  const unreconciledPayments = await getUnreconciledPayments(statement).countDocuments();
+
+  return { lines: byStatus, unreconciledPayments, rowErrors: statement.rowErrors.length };
+};
+
+const assertOpen = (line) => {
+  if (!OPEN_STATUSES.includes(line.status)) {
+    throw httpError(409, 'LINE_RESOLVED', `Line is already ${line.status}; unmatch it first`);
+  }
+};
+
+// Claim an open line atomically so two requests cannot both resolve it
+const claimLine = async (line, userId) => {
+  const claimed = await StatementLine.findOneAndUpdate(
+    { _id: line._id, status: { $in: OPEN_STATUSES } },
+    { status: 'CONFIRMED', resolvedAt: new Date(), resolvedBy: userId },
+    { new: true }
+  );
+  if (!claimed) {
+    throw httpError(409, 'LINE_RESOLVED', 'Line was resolved by another request; unmatch it first');
+  }
+  return claimed;
+};
+
+const resolve = async (line, status, userId, paymentId) => {
+  line.status = status;
+  line.paymentId = paymentId;
+  line.resolvedAt = new Date();
+  line.resolvedBy = userId;
+  await line.save();
+  return line;
+};
+
+/**
+ * Confirm that a statement line is the given payment (default: the suggested one)
+ * @param {Object} line - Statement line
+ * @param {string} paymentId - Payment to confirm, optional
+ * @param {string} userId - Acting user
+ * @returns {Object} Updated line
+ */
+export const confirmLine = async (line, paymentId, userId) => {
+  assertOpen(line);
+
+  const payment = await Payment.findById(paymentId || line.paymentId);
+  if (!payment) {
+    throw httpError(404, 'PAYMENT_NOT_FOUND', 'Payment not found');
+  }
+
+  if (!DIRECTION_TYPES[line.direction].includes(payment.type)) {
+    throw httpError(422, 'DIRECTION_MISMATCH', `${payment.type} payments cannot match a ${line.direction} line`);
+  }
+
+  if ((payment.currency || BASE_CURRENCY) !== BASE_CURRENCY) {
+    throw httpError(422, 'CURRENCY_MISMATCH', `${payment.currency} payments cannot match an INR statement line`);
+  }
+
+  if (payment.amountPaise !== line.amountPaise) {
+    throw httpError(422, 'AMOUNT_MISMATCH', 'Payment amount differs from the statement line');
+  }
+
+  const claimed = await claimLine(line, userId);
+
+  // Claim the payment atomically so it cannot be confirmed against two lines
+  const result = await Payment.updateOne(
+    { _id: payment._id, statementLineId: null },
+    { statementLineId: line._id }
+  );
+  if (result.modifiedCount === 0) {
+    throw httpError(409, 'ALREADY_RECONCILED', 'Payment is already reconciled with another statement line');
+  }
+
+  return resolve(claimed, 'CONFIRMED', userId, payment._id);
+};
+
+/**
+ * Record a missing payment from a statement line and confirm it
+ * @param {Object} line - Statement line
+ * @param {Object} data - { purchaseId, type, notes }
+ * @param {string} userId - Acting user
+ * @returns {Object} { line, payment }
+ */
+export const createPaymentFromLine = async (line, { purchaseId, type, notes }, userId) => {
+  assertOpen(line);
+
+  if (!DIRECTION_TYPES[line.direction].includes(type)) {
+    throw httpError(422, 'DIRECTION_MISMATCH', `${type} payments cannot come from a ${line.direction} line`);
+  }
+
+  const purchase = await Purchase.findById(purchaseId);
+  if (!purchase) {
+    throw httpError(404, 'PURCHASE_NOT_FOUND', 'Purchase not found');
+  }
+
+  const currency = ['CLIENT', 'CLIENT_REFUND'].includes(type) ? purchase.amounts.currency : purchase.amounts.vendorCurrency;
+  if ((currency || BASE_CURRENCY) !== BASE_CURRENCY) {
+    throw httpError(422, 'CURRENCY_MISMATCH', `Purchase is billed in ${currency}; statement lines are INR`);
+  }
+
+  assertRefundWithinPaid(purchase, type, line.amountPaise);
+
+  const claimed = await claimLine(line, userId);
+
+  const statement = await BankStatement.findById(line.statementId).populate('profileId', 'defaultMethod');
+
+  const payment = await Payment.create({
+    purchaseId,
+    type,
+    amountPaise: line.amountPaise,
+    paidOn: line.date,
+    method: statement.profileId?.defaultMethod || 'BANK',
+    reference: line.reference,
+    notes: notes || line.description,
+    statementLineId: line._id,
+    createdBy: userId
+  });
+
+  if (type === 'CLIENT_REFUND') {
+    await issueCreditNote(payment, payment.notes);
+  }
+
+  await updatePurchaseSettlement(purchaseId);
+
+  if (type === 'CLIENT') {
+    await captureOverpayment(purchaseId, userId);
+  }
+
+  await resolve(claimed, 'CONFIRMED', userId, payment._id);
+  return { line: claimed, payment };
+};
+
+/**
+ * Mark a line as not needing a payment (bank charges, transfers between own accounts, ...)
+ * @param {Object} line - Statement line
+ * @param {string} userId - Acting user
+ * @returns {Object} Updated line
+ */
+export const ignoreLine = (line, userId) => {
+  assertOpen(line);
+  return resolve(line, 'IGNORED', userId, undefined);
+};
+
+/**
+ * Undo a confirmation or ignore, releasing the payment for matching again
+ * @param {Object} line - Statement line
+ * @returns {Object} Updated line
+ */
+export const unmatchLine = async (line) => {
+  if (line.status === 'CONFIRMED') {
+    await Payment.updateOne({ _id: line.paymentId, statementLineId: line._id }, { statementLineId: null });
+  }
+
+  line.status = 'UNMATCHED';
+  line.paymentId = undefined;
+  line.matchNotes = [];
+  line.resolvedAt = undefined;
+  line.resolvedBy = undefined;
+  await line.save();
+  return line;
+};
@@ -0,0 +1,149 @@
+import Purchase from '../models/Purchase.js';
+import Reminder from '../models/Reminder.js';
+import { getNotifier } from '../notifiers/index.js';
+import { INACTIVE_STATUSES } from './purchaseStatus.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MAX_ATTEMPTS = 3;
+const SENDING_TIMEOUT_MS = 1000 * 60 * 15; // a claim older than this was interrupted (crash, restart)
+
+// Expiry dates the scheduler watches, keyed by reminder kind
+const EXPIRY_FIELDS = {
+  VALIDITY: 'validity.endDate',
+  WARRANTY: 'warranty.endDate'
+};
+
+/**
+ * Reminder offsets in days before expiry, from REMINDER_OFFSETS (default: 7,3,1)
+ * @returns {number[]} Offsets sorted ascending
+ */
+export const getReminderOffsets = () => {
+  const offsets = (process.env.REMINDER_OFFSETS || '7,3,1')
+    .split(',')
+    .map(value => parseInt(value))
+    .filter(value => !isNaN(value) && value >= 0);
+
+  return [...new Set(offsets)].sort((a, b) => a - b);
+};
+
+/**
+ * Queue reminders for purchases whose validity or warranty ends within the largest offset.
+ * Only the nearest offset already reached is queued, so a purchase first seen at 2 days
+ * left gets its 3-day reminder but not a stale 7-day one.
+ * @param {Date} now - Reference time
+ * @returns {number} Number of newly queued reminders
+ */
+export const queueExpiryReminders = async (now = new Date()) => {
+  const offsets = getReminderOffsets();
+  if (offsets.length === 0) return 0;
+
+  const horizon = new Date(now.getTime() + offsets[offsets.length - 1] * DAY_MS);
+  let queued = 0;
+
+  for (const [kind, field] of Object.entries(EXPIRY_FIELDS)) {
+    const purchases = await Purchase.find({
+      [field]: { $gt: now, $lte: horizon },
+      status: { $nin: INACTIVE_STATUSES }
+    }).select(`_id ${field}`);
+
+    for (const purchase of purchases) {
+      const expiresOn = purchase.get(field);
+      const daysLeft = Math.ceil((expiresOn - now) / DAY_MS);
+      const offsetDays = offsets.find(offset => daysLeft <= offset);
+      if (offsetDays === undefined) continue;
+
+      const result = await Reminder.updateOne(
+        { purchaseId: purchase._id, kind, offsetDays, expiresOn },
+        {
+          $setOnInsert: {
+            scheduledFor: new Date(expiresOn.getTime() - offsetDays * DAY_MS)
+          }
+        },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount > 0) queued++;
+    }
+  }
+
+  return queued;
+};
+
+// Hand reminders left in SENDING by an interrupted run back to the queue, or fail them when out of attempts
+const releaseStaleReminders = async (now) => {
+  const stale = { status: 'SENDING', updatedAt: { $lt: new Date(now.getTime() - SENDING_TIMEOUT_MS) } };
+  const lastError = 'Sending was interrupted';
+
+  await Reminder.updateMany(
+    { ...stale, attempts: { $gte: MAX_ATTEMPTS } },
+    { status: 'FAILED', lastError }
+  );
+  await Reminder.updateMany(
+    { ...stale, attempts: { $lt: MAX_ATTEMPTS } },
+    { status: 'QUEUED', scheduledFor: now, lastError }
+  );
+};
+
+/**
+ * Send every queued reminder that is due through the given notifier.
+ * Reminders stuck in SENDING for over 15 minutes are retried first.
+ * @param {Object} notifier - Notifier with name and send(reminder, purchase)
+ * @param {Date} now - Reference time
+ * @returns {Object} Counts of sent and failed reminders
+ */
+export const sendDueReminders = async (notifier = getNotifier(), now = new Date()) => {
+  const result = { sent: 0, failed: 0 };
+
+  await releaseStaleReminders(now);
+
+  // Claim reminders one at a time so concurrent runs never send the same reminder
+  let reminder;
+  while ((reminder = await Reminder.findOneAndUpdate(
+    { status: 'QUEUED', scheduledFor: { $lte: now } },
+    { $set: { status: 'SENDING', channel: notifier.name }, $inc: { attempts: 1 } },
+    { new: true, sort: { scheduledFor: 1 } }
+  ))) {
+    try {
+      const purchase = await Purchase.findById(reminder.purchaseId)
+        .populate('clientId', 'name email phone whatsapp')
+        .populate('productId', 'name');
+
+      if (!purchase) {
+        throw new Error('Purchase not found');
+      }
+
+      await notifier.send(reminder, purchase);
+
+      reminder.status = 'SENT';
+      reminder.sentAt = new Date();
+      reminder.lastError = undefined;
+      result.sent++;
+    } catch (error) {
+      reminder.lastError = error.message;
+      if (reminder.attempts >= MAX_ATTEMPTS) {
+        reminder.status = 'FAILED';
+        result.failed++;
+      } else {
+        // Retry on the next run
+        reminder.status = 'QUEUED';
+        reminder.scheduledFor = new Date(now.getTime() + 1);
+      }
+    }
+
+    await reminder.save();
+  }
+
+  return result;
+};
+
+/**
+ * Queue new reminders and send the due ones
+ * @param {Object} notifier - Notifier to send through
+ * @returns {Object} Run summary
+ */
+export const runReminderCycle = async (notifier = getNotifier()) => {
+  const now = new Date();
+  const queued = await queueExpiryReminders(now);
+  const { sent, failed } = await sendDueReminders(notifier, now);
+  return { queued, sent, failed, ranAt: now };
+};
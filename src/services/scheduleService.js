@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import Purchase from '../models/Purchase.js';
+import { updatePurchaseSettlement } from './purchaseService.js';
+import { INACTIVE_STATUSES } from './purchaseStatus.js';
+import { inrAtRate } from './fxService.js';
+import { httpError } from '../utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Age brackets for overdue installments, in days past the due date
+const AGING_BUCKETS = [
+  { label: '1-30', max: 30 },
+  { label: '31-60', max: 60 },
+  { label: '61-90', max: 90 },
+  { label: '90+', max: Infinity }
+];
+
+// Add months in UTC, clamping to the last day of the target month (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Split a total into equal installments; the last one absorbs any rounding remainder
+ * @param {number} totalPaise - Amount to split
+ * @param {Object} plan - { count, firstDueDate, intervalMonths }
+ * @returns {Array} [{ dueDate, amountPaise }]
+ */
+export const buildEvenSchedule = (totalPaise, { count, firstDueDate, intervalMonths = 1 }) => {
+  const base = Math.floor(totalPaise / count);
+
+  return Array.from({ length: count }, (_, index) => {
+    return {
+      dueDate: addMonths(firstDueDate, index * intervalMonths),
+      amountPaise: index === count - 1 ? totalPaise - base * (count - 1) : base
+    };
+  });
+};
+
+/**
+ * Replace the installment plan of a purchase and allocate existing payments to it
+ * @param {string} purchaseId - Purchase ID
+ * @param {Object} data - { installments: [{ dueDate, amountPaise }] } or { count, firstDueDate, intervalMonths }
+ * @param {string} userId - Acting user
+ * @returns {Object} Updated purchase
+ */
+export const setPaymentSchedule = async (purchaseId, data, userId) => {
+  const purchase = await Purchase.findById(purchaseId);
+  if (!purchase) {
+    throw httpError(404, 'PURCHASE_NOT_FOUND', 'Purchase not found');
+  }
+
+  if (INACTIVE_STATUSES.includes(purchase.status)) {
+    throw httpError(400, 'PURCHASE_INACTIVE', `${purchase.status} purchases cannot have a payment schedule`);
+  }
+
+  const installments = data.installments
+    ? data.installments.map(({ dueDate, amountPaise }) => ({ dueDate: new Date(dueDate), amountPaise }))
+    : buildEvenSchedule(purchase.amounts.clientPayTotalPaise, data);
+
+  const scheduledPaise = installments.reduce((sum, installment) => sum + installment.amountPaise, 0);
+  if (scheduledPaise !== purchase.amounts.clientPayTotalPaise) {
+    throw httpError(422, 'SCHEDULE_TOTAL_MISMATCH',
+      `Installments add up to ${scheduledPaise} paise but the client total is ${purchase.amounts.clientPayTotalPaise} paise`);
+  }
+
+  purchase.paymentSchedule = installments;
+  purchase.updatedBy = userId;
+  await purchase.save();
+
+  return updatePurchaseSettlement(purchase._id);
+};
+
+/**
+ * Reject a client total that no longer matches the purchase's installment plan
+ * @param {Object} purchase - Purchase document with its pending changes
+ */
+export const assertScheduleMatchesTotal = (purchase) => {
+  if (purchase.paymentSchedule.length === 0 || !purchase.isModified('amounts.clientPayTotalPaise')) return;
+
+  const scheduledPaise = purchase.paymentSchedule.reduce((sum, installment) => sum + installment.amountPaise, 0);
+  if (scheduledPaise !== purchase.amounts.clientPayTotalPaise) {
+    throw httpError(422, 'SCHEDULE_TOTAL_MISMATCH',
+      `Installments add up to ${scheduledPaise} paise; replace or clear the payment schedule before changing the client total`);
+  }
+};
+
+/**
+ * Remove the installment plan of a purchase
+ * @param {string} purchaseId - Purchase ID
+ * @param {string} userId - Acting user
+ * @returns {Object} Updated purchase
+ */
+export const clearPaymentSchedule = async (purchaseId, userId) => {
+  const purchase = await Purchase.findById(purchaseId);
+  if (!purchase) {
+    throw httpError(404, 'PURCHASE_NOT_FOUND', 'Purchase not found');
+  }
+
+  purchase.paymentSchedule = [];
+  purchase.updatedBy = userId;
+  await purchase.save();
+
+  return purchase;
+};
+
+/**
+ * Installments past their due date that are not fully paid, oldest first.
+ * Installment amounts are in the purchase currency; the summary totals are INR.
+ * @param {Object} options - { asOf (default now), clientId }
+ * @returns {Object} { installments, summary: { totalOverduePaise, count, aging } }
+ */
+export const getOverdueInstallments = async ({ asOf = new Date(), clientId } = {}) => {
+  const match = {
+    status: { $nin: INACTIVE_STATUSES },
+    'paymentSchedule.dueDate': { $lt: asOf }
+  };
+  if (clientId) {
+    if (!mongoose.Types.ObjectId.isValid(clientId)) {
+      throw httpError(400, 'INVALID_CLIENT', 'clientId must be a valid ID');
+    }
+    match.clientId = new mongoose.Types.ObjectId(clientId);
+  }
+
+  const installments = await Purchase.aggregate([
+    { $match: match },
+    { $unwind: '$paymentSchedule' },
+    {
+      $match: {
+        'paymentSchedule.dueDate': { $lt: asOf },
+        $expr: { $lt: ['$paymentSchedule.paidPaise', '$paymentSchedule.amountPaise'] }
+      }
+    },
+    {
+      $lookup: {
+        from: 'clients',
+        localField: 'clientId',
+        foreignField: '_id',
+        as: 'client',
+        pipeline: [{ $project: { name: 1, phone: 1 } }]
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        purchaseId: '$_id',
+        orderId: 1,
+        client: { $first: '$client' },
+        installmentId: '$paymentSchedule._id',
+        dueDate: '$paymentSchedule.dueDate',
+        amountPaise: '$paymentSchedule.amountPaise',
+        paidPaise: '$paymentSchedule.paidPaise',
+        currency: { $ifNull: ['$amounts.currency', 'INR'] },
+        overduePaise: { $subtract: ['$paymentSchedule.amountPaise', '$paymentSchedule.paidPaise'] },
+        overdueInrPaise: inrAtRate(
+          { $subtract: ['$paymentSchedule.amountPaise', '$paymentSchedule.paidPaise'] },
+          '$fx.clientRate'
+        )
+      }
+    },
+    { $sort: { dueDate: 1 } }
+  ]);
+
+  const aging = AGING_BUCKETS.map(bucket => ({ bucket: bucket.label, count: 0, overduePaise: 0 }));
+
+  installments.forEach((installment) => {
+    installment.daysOverdue = Math.ceil((asOf - installment.dueDate) / DAY_MS);
+    const index = AGING_BUCKETS.findIndex(bucket => installment.daysOverdue <= bucket.max);
+    aging[index].count++;
+    aging[index].overduePaise += installment.overdueInrPaise;
+  });
+
+  return {
+    installments,
+    summary: {
+      totalOverduePaise: installments.reduce((sum, installment) => sum + installment.overdueInrPaise, 0),
+      count: installments.length,
+      aging
+    }
+  };
+};
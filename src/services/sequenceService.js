@@ -0,0 +1,30 @@
+import Counter from '../models/Counter.js';
+
+/**
+ * Atomically take the next number of a named sequence
+ * @param {string} name - Sequence name
+ * @param {Function} seed - Optional async function returning the number to start after
+ *                          when the sequence does not exist yet (e.g. highest existing ID)
+ * @returns {number} Next number, starting at 1
+ */
+export const nextSequence = async (name, seed) => {
+  const exists = await Counter.exists({ _id: name });
+
+  if (!exists && seed) {
+    const start = await seed();
+    try {
+      await Counter.updateOne({ _id: name }, { $setOnInsert: { seq: start } }, { upsert: true });
+    } catch (error) {
+      // Another request created the counter first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
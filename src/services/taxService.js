@@ -0,0 +1,324 @@
+import Purchase from '../models/Purchase.js';
+import Product from '../models/Product.js';
+import Client from '../models/Client.js';
+import Vendor from '../models/Vendor.js';
+import CreditNote from '../models/CreditNote.js';
+import { getBusinessProfile } from './invoiceService.js';
+import { toInr } from './fxService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Fields that change the tax on a purchase when edited
+export const GST_INPUT_PATHS = [
+  'clientId',
+  'productId',
+  'vendorId',
+  'amounts.clientPayTotalPaise',
+  'amounts.vendorPayTotalPaise',
+  'amounts.taxesPaise' // manual edits are replaced by the computed tax
+];
+
+/**
+ * GST state code from a GSTIN (its first two digits)
+ * @param {string} gstin - GSTIN
+ * @returns {string|undefined} State code, e.g. '27'
+ */
+export const stateFromGstin = (gstin) => (gstin ? gstin.slice(0, 2) : undefined);
+
+/**
+ * Split a tax-inclusive amount into taxable value and CGST/SGST or IGST.
+ * Intra-state tax is halved between CGST and SGST; any odd paisa goes to SGST.
+ * @param {number} inclusivePaise - Amount including tax
+ * @param {number} ratePercent - GST rate
+ * @param {boolean} intraState - Supplier and place of supply are in the same state
+ * @returns {Object} { taxablePaise, cgstPaise, sgstPaise, igstPaise }
+ */
+export const splitGst = (inclusivePaise, ratePercent, intraState) => {
+  const taxablePaise = Math.round((inclusivePaise * 100) / (100 + ratePercent));
+  const taxPaise = inclusivePaise - taxablePaise;
+  const cgstPaise = intraState ? Math.floor(taxPaise / 2) : 0;
+
+  return {
+    taxablePaise,
+    cgstPaise,
+    sgstPaise: intraState ? taxPaise - cgstPaise : 0,
+    igstPaise: intraState ? 0 : taxPaise
+  };
+};
+
+const taxOf = (entry) => entry.cgstPaise + entry.sgstPaise + entry.igstPaise;
+
+// Set the computed input tax fields, keeping the vendor invoice number and date as entered
+const setVendorTax = (purchase, input) => {
+  purchase.set({
+    'vendorInvoice.gstin': input?.gstin,
+    'vendorInvoice.ratePercent': input?.ratePercent,
+    'vendorInvoice.taxablePaise': input?.taxablePaise,
+    'vendorInvoice.cgstPaise': input?.cgstPaise || 0,
+    'vendorInvoice.sgstPaise': input?.sgstPaise || 0,
+    'vendorInvoice.igstPaise': input?.igstPaise || 0
+  });
+};
+
+/**
+ * Compute output GST (and input GST from a registered vendor) for a purchase from its
+ * product rate. Purchases whose product has no rate keep their manually entered taxes.
+ * Unknown places of supply are treated as intra-state, as for unregistered clients
+ * without an address. Does not save the purchase.
+ * @param {Object} purchase - Purchase document (updated in place)
+ * @returns {Object} The purchase
+ */
+export const applyGst = async (purchase) => {
+  const product = await Product.findById(purchase.productId).select('tax');
+  const ratePercent = product?.tax?.gstRatePercent;
+
+  if (ratePercent === undefined || ratePercent === null) {
+    purchase.gst = undefined;
+    setVendorTax(purchase, null);
+    return purchase;
+  }
+
+  const [client, vendor, business] = await Promise.all([
+    Client.findById(purchase.clientId).select('gstin placeOfSupply'),
+    purchase.vendorId ? Vendor.findById(purchase.vendorId).select('gstin') : null,
+    getBusinessProfile()
+  ]);
+
+  const supplierStateCode = stateFromGstin(business.gstin) || business.stateCode;
+  const placeOfSupply = client?.placeOfSupply || stateFromGstin(client?.gstin) || supplierStateCode;
+  const intraState = placeOfSupply === supplierStateCode;
+
+  // GST is assessed in INR; the client-currency tax is converted back at the locked rate
+  const clientRate = purchase.fx?.clientRate ?? 1;
+  const output = splitGst(toInr(purchase.amounts.clientPayTotalPaise, clientRate), ratePercent, intraState);
+
+  purchase.gst = {
+    hsnSac: product.tax.hsnSac,
+    ratePercent,
+    supplierStateCode,
+    placeOfSupply,
+    supplyType: intraState ? 'INTRA' : 'INTER',
+    clientGstin: client?.gstin || undefined,
+    ...output
+  };
+  purchase.amounts.taxesPaise = Math.round(taxOf(output) / clientRate);
+
+  // Input tax is only claimable from vendors with a GSTIN
+  setVendorTax(purchase, vendor?.gstin ? {
+    gstin: vendor.gstin,
+    ratePercent,
+    ...splitGst(
+      toInr(purchase.amounts.vendorPayTotalPaise, purchase.fx?.vendorRate),
+      ratePercent,
+      stateFromGstin(vendor.gstin) === supplierStateCode
+    )
+  } : null);
+
+  return purchase;
+};
+
+/**
+ * Start and end of a tax period given as YYYY-MM, in UTC like order and invoice periods
+ * @param {string} month - Period, e.g. '2025-04'
+ * @returns {Object} { start, end } with end exclusive
+ */
+export const monthRange = (month) => {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month || '');
+  if (!match) {
+    throw httpError(400, 'INVALID_MONTH', 'month must be given as YYYY-MM');
+  }
+
+  const year = parseInt(match[1]);
+  const index = parseInt(match[2]) - 1;
+  return { start: new Date(Date.UTC(year, index, 1)), end: new Date(Date.UTC(year, index + 1, 1)) };
+};
+
+// Tax-inclusive INR values of a purchase at its locked rates
+const clientValueInr = (purchase) => purchase.amountsInr?.clientPayTotalPaise ?? purchase.amounts.clientPayTotalPaise;
+const vendorValueInr = (purchase) => purchase.amountsInr?.vendorPayTotalPaise ?? purchase.amounts.vendorPayTotalPaise;
+
+const emptyTotals = () => ({ count: 0, valuePaise: 0, taxablePaise: 0, cgstPaise: 0, sgstPaise: 0, igstPaise: 0 });
+
+const addTo = (totals, valuePaise, entry) => {
+  totals.count++;
+  totals.valuePaise += valuePaise;
+  totals.taxablePaise += entry.taxablePaise;
+  totals.cgstPaise += entry.cgstPaise;
+  totals.sgstPaise += entry.sgstPaise;
+  totals.igstPaise += entry.igstPaise;
+  return totals;
+};
+
+// Group entries into totals keyed by the given fields
+const groupTotals = (entries, keyFields) => {
+  const groups = new Map();
+
+  entries.forEach(({ valuePaise, tax, ...keys }) => {
+    const key = keyFields.map(field => keys[field]).join('|');
+    if (!groups.has(key)) {
+      groups.set(key, { ...Object.fromEntries(keyFields.map(field => [field, keys[field]])), ...emptyTotals() });
+    }
+    addTo(groups.get(key), valuePaise, tax);
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * GSTR-1 style outward supplies for a month, in INR: B2B invoices, B2C totals by place
+ * of supply, HSN/SAC summary and credit notes issued against taxed purchases
+ * @param {string} month - Period, e.g. '2025-04'
+ * @returns {Object} Report
+ */
+export const getGstr1Report = async (month) => {
+  const { start, end } = monthRange(month);
+
+  const purchases = await Purchase.find({
+    status: { $ne: 'CANCELLED' },
+    purchaseDate: { $gte: start, $lt: end }
+  })
+    .populate('clientId', 'name')
+    .select('orderId purchaseDate invoice amounts amountsInr gst clientId')
+    .sort({ purchaseDate: 1 })
+    .lean();
+
+  const taxed = purchases.filter(purchase => purchase.gst?.ratePercent !== undefined && purchase.gst?.ratePercent !== null);
+  const untaxed = purchases.filter(purchase => !taxed.includes(purchase));
+
+  const b2b = taxed
+    .filter(purchase => purchase.gst.clientGstin)
+    .map(purchase => ({
+      gstin: purchase.gst.clientGstin,
+      clientName: purchase.clientId?.name,
+      invoiceNumber: purchase.invoice?.number || null,
+      orderId: purchase.orderId,
+      date: purchase.purchaseDate,
+      invoiceValuePaise: clientValueInr(purchase),
+      placeOfSupply: purchase.gst.placeOfSupply,
+      supplyType: purchase.gst.supplyType,
+      ratePercent: purchase.gst.ratePercent,
+      taxablePaise: purchase.gst.taxablePaise,
+      cgstPaise: purchase.gst.cgstPaise,
+      sgstPaise: purchase.gst.sgstPaise,
+      igstPaise: purchase.gst.igstPaise
+    }));
+
+  const entries = taxed.map(purchase => ({
+    placeOfSupply: purchase.gst.placeOfSupply,
+    supplyType: purchase.gst.supplyType,
+    ratePercent: purchase.gst.ratePercent,
+    hsnSac: purchase.gst.hsnSac || null,
+    b2b: Boolean(purchase.gst.clientGstin),
+    valuePaise: clientValueInr(purchase),
+    tax: purchase.gst
+  }));
+
+  // Refunds reverse tax in proportion to the purchase total
+  const creditNotes = await CreditNote.find({
+    status: 'ISSUED',
+    issuedOn: { $gte: start, $lt: end }
+  })
+    .populate('purchaseId', 'orderId invoice fx gst')
+    .populate('clientId', 'name')
+    .sort({ issuedOn: 1 })
+    .lean();
+
+  const cdn = creditNotes
+    .filter(note => note.purchaseId?.gst?.ratePercent !== undefined && note.purchaseId?.gst?.ratePercent !== null)
+    .map((note) => {
+      const { gst, fx } = note.purchaseId;
+      const valuePaise = toInr(note.amountPaise, fx?.clientRate);
+      const reversal = splitGst(valuePaise, gst.ratePercent, gst.supplyType === 'INTRA');
+
+      return {
+        number: note.number,
+        issuedOn: note.issuedOn,
+        orderId: note.purchaseId.orderId,
+        invoiceNumber: note.purchaseId.invoice?.number || null,
+        clientName: note.clientId?.name,
+        gstin: gst.clientGstin || null,
+        placeOfSupply: gst.placeOfSupply,
+        ratePercent: gst.ratePercent,
+        valuePaise,
+        ...reversal
+      };
+    });
+
+  const totals = entries.reduce((sum, entry) => addTo(sum, entry.valuePaise, entry.tax), emptyTotals());
+  const creditNoteTotals = cdn.reduce((sum, note) => addTo(sum, note.valuePaise, note), emptyTotals());
+
+  return {
+    month,
+    b2b,
+    b2cs: groupTotals(entries.filter(entry => !entry.b2b), ['placeOfSupply', 'supplyType', 'ratePercent']),
+    hsn: groupTotals(entries, ['hsnSac', 'ratePercent']),
+    creditNotes: cdn,
+    nonGst: {
+      count: untaxed.length,
+      valuePaise: untaxed.reduce((sum, purchase) => sum + clientValueInr(purchase), 0)
+    },
+    summary: {
+      outward: totals,
+      creditNotes: creditNoteTotals,
+      netTaxPaise: taxOf(totals) - taxOf(creditNoteTotals)
+    }
+  };
+};
+
+/**
+ * Input tax credit from registered vendors' invoices for a month, grouped by vendor GSTIN.
+ * The vendor invoice date is used when recorded, otherwise the purchase date.
+ * @param {string} month - Period, e.g. '2025-04'
+ * @returns {Object} Report
+ */
+export const getItcReport = async (month) => {
+  const { start, end } = monthRange(month);
+
+  const purchases = await Purchase.find({
+    status: { $ne: 'CANCELLED' },
+    'vendorInvoice.gstin': { $exists: true, $ne: null },
+    $or: [
+      { 'vendorInvoice.date': { $gte: start, $lt: end } },
+      { 'vendorInvoice.date': null, purchaseDate: { $gte: start, $lt: end } }
+    ]
+  })
+    .populate('vendorId', 'name')
+    .select('orderId purchaseDate amounts amountsInr vendorInvoice vendorId')
+    .sort({ purchaseDate: 1 })
+    .lean();
+
+  const vendors = new Map();
+  const totals = emptyTotals();
+
+  purchases.forEach((purchase) => {
+    const invoice = purchase.vendorInvoice;
+    if (!vendors.has(invoice.gstin)) {
+      vendors.set(invoice.gstin, { gstin: invoice.gstin, vendorName: purchase.vendorId?.name, invoices: [], ...emptyTotals() });
+    }
+
+    const vendor = vendors.get(invoice.gstin);
+    vendor.invoices.push({
+      invoiceNumber: invoice.number || null,
+      date: invoice.date || purchase.purchaseDate,
+      orderId: purchase.orderId,
+      valuePaise: vendorValueInr(purchase),
+      ratePercent: invoice.ratePercent,
+      taxablePaise: invoice.taxablePaise,
+      cgstPaise: invoice.cgstPaise,
+      sgstPaise: invoice.sgstPaise,
+      igstPaise: invoice.igstPaise
+    });
+    addTo(vendor, vendorValueInr(purchase), invoice);
+    addTo(totals, vendorValueInr(purchase), invoice);
+  });
+
+  return {
+    month,
+    vendors: [...vendors.values()],
+    // Invoices without a number still need one before the credit can be claimed
+    missingInvoiceNumbers: purchases.filter(purchase => !purchase.vendorInvoice.number).map(purchase => purchase.orderId),
+    summary: {
+      ...totals,
+      totalCreditPaise: taxOf(totals)
+    }
+  };
+};
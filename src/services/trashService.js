@@ -0,0 +1,227 @@
+import Purchase from '../models/Purchase.js';
+import Payment from '../models/Payment.js';
+import Client from '../models/Client.js';
+import Vendor from '../models/Vendor.js';
+import Product from '../models/Product.js';
+import Coupon from '../models/Coupon.js';
+import Receipt from '../models/Receipt.js';
+import { updatePurchaseSettlement } from './purchaseService.js';
+import { syncCreditNote } from './creditNoteService.js';
+import { reverseWalletPayment } from './walletService.js';
+import { reverseRedemptions, reapplyRedemptions } from './couponService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Soft-deletable entities, keyed by the name used in trash URLs
+export const TRASH_MODELS = {
+  purchases: Purchase,
+  payments: Payment,
+  clients: Client,
+  vendors: Vendor,
+  products: Product,
+  coupons: Coupon,
+  receipts: Receipt
+};
+
+/**
+ * Days a deleted record stays in the trash before it may be purged (TRASH_RETENTION_DAYS, default 30)
+ * @returns {number} Retention in days
+ */
+export const getRetentionDays = () => {
+  return parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+};
+
+const getModel = (entity) => {
+  const Model = TRASH_MODELS[entity];
+  if (!Model) {
+    throw httpError(400, 'INVALID_ENTITY', `Unknown trash entity: ${entity}`);
+  }
+  return Model;
+};
+
+const findDeleted = async (entity, id) => {
+  const Model = getModel(entity);
+  const doc = await Model.findOne({ _id: id, deletedAt: { $ne: null } });
+  if (!doc) {
+    throw httpError(404, 'NOT_IN_TRASH', 'Item not found in trash');
+  }
+  return doc;
+};
+
+/**
+ * Soft delete a purchase together with its payments.
+ * Refused while a payment is linked to a receipt, payout batch or bank statement line.
+ * Wallet payments are reversed rather than trashed, so the client's wallet no longer
+ * reflects the deleted purchase and they stay deleted when the purchase is restored.
+ * @param {Object} purchase - Purchase document
+ * @param {string} userId - Acting user
+ */
+export const softDeletePurchase = async (purchase, userId) => {
+  // Payments other records depend on are released through those records first, as for a single payment
+  const linked = [
+    ['receiptId', 'RECEIPT_PAYMENT', 'Purchase has payments booked from a receipt; remove those receipt allocations first'],
+    ['payoutBatchId', 'PAYOUT_PAYMENT', 'Purchase has payments in a confirmed payout batch and cannot be deleted'],
+    ['statementLineId', 'RECONCILED_PAYMENT', 'Purchase has payments reconciled with bank statement lines; unmatch them first']
+  ];
+  for (const [field, code, message] of linked) {
+    const exists = await Payment.exists({ purchaseId: purchase._id, [field]: { $ne: null } });
+    if (exists) {
+      throw httpError(409, code, message);
+    }
+  }
+
+  const deletedAt = new Date();
+
+  // CLIENT sorts before CLIENT_REFUND: money spent from the wallet goes back before captured credits come out
+  const walletPayments = await Payment.find({ purchaseId: purchase._id, method: 'WALLET' }).sort({ type: 1 });
+  for (const payment of walletPayments) {
+    await reverseWalletPayment(payment, userId);
+  }
+
+  // Payments share the purchase's deletedAt so they can be restored with it
+  const payments = await Payment.find({ purchaseId: purchase._id, method: { $ne: 'WALLET' } });
+  await Promise.all(payments.map(async (payment) => {
+    await payment.softDelete(userId, deletedAt);
+    await syncCreditNote(payment);
+  }));
+
+  // Give the coupon uses back; they are re-applied if the purchase is restored
+  await reverseRedemptions(purchase._id, { reason: 'Purchase deleted', userId, reversedAt: deletedAt });
+
+  await purchase.softDelete(userId, deletedAt);
+};
+
+/**
+ * Soft delete a payment and recompute its purchase settlement
+ * @param {Object} payment - Payment document
+ * @param {string} userId - Acting user
+ */
+export const softDeletePayment = async (payment, userId) => {
+  await payment.softDelete(userId);
+  await syncCreditNote(payment);
+  await updatePurchaseSettlement(payment.purchaseId);
+};
+
+/**
+ * Soft delete a receipt together with the payments booked from it
+ * @param {Object} receipt - Receipt document
+ * @param {string} userId - Acting user
+ */
+export const softDeleteReceipt = async (receipt, userId) => {
+  const deletedAt = new Date();
+
+  const payments = await Payment.find({ receiptId: receipt._id });
+  for (const payment of payments) {
+    await payment.softDelete(userId, deletedAt);
+  }
+
+  await receipt.softDelete(userId, deletedAt);
+
+  const purchaseIds = [...new Set(payments.map(payment => payment.purchaseId.toString()))];
+  for (const purchaseId of purchaseIds) {
+    await updatePurchaseSettlement(purchaseId);
+  }
+};
+
+/**
+ * Restore an item from the trash
+ * @param {string} entity - Key of TRASH_MODELS
+ * @param {string} id - Document ID
+ * @returns {Object} Restored document
+ */
+export const restoreFromTrash = async (entity, id) => {
+  const doc = await findDeleted(entity, id);
+
+  if (entity === 'purchases') {
+    const previousPurchaseId = doc.renewal?.previousPurchaseId;
+    if (previousPurchaseId && await Purchase.exists({ 'renewal.previousPurchaseId': previousPurchaseId })) {
+      throw httpError(409, 'ALREADY_RENEWED', 'The purchase this one renews has been renewed again since it was deleted');
+    }
+
+    // Bring back the payments deleted along with the purchase; wallet payments were reversed and stay deleted
+    const payments = await Payment.find({ purchaseId: doc._id, deletedAt: doc.deletedAt, method: { $ne: 'WALLET' } });
+    await reapplyRedemptions(doc._id, doc.deletedAt);
+    await doc.restore();
+    await Promise.all(payments.map(async (payment) => {
+      await payment.restore();
+      await syncCreditNote(payment);
+    }));
+    await updatePurchaseSettlement(doc._id);
+    return Purchase.findById(doc._id);
+  }
+
+  if (entity === 'receipts') {
+    const payments = await Payment.find({ receiptId: doc._id, deletedAt: doc.deletedAt });
+    await doc.restore();
+    for (const payment of payments) {
+      await payment.restore();
+    }
+    const purchaseIds = [...new Set(payments.map(payment => payment.purchaseId.toString()))];
+    for (const purchaseId of purchaseIds) {
+      await updatePurchaseSettlement(purchaseId);
+    }
+    return doc;
+  }
+
+  if (entity === 'payments') {
+    // Receipt payments come back with their receipt or purchase, never on their own
+    if (doc.receiptId) {
+      throw httpError(409, 'RECEIPT_PAYMENT', 'Payment was booked from a receipt; restore or re-allocate the receipt instead');
+    }
+
+    // The wallet movement was reversed when it was deleted
+    if (doc.method === 'WALLET') {
+      throw httpError(409, 'WALLET_PAYMENT', 'Wallet payments cannot be restored; record them again instead');
+    }
+
+    const purchaseExists = await Purchase.exists({ _id: doc.purchaseId });
+    if (!purchaseExists) {
+      throw httpError(409, 'PURCHASE_DELETED', 'Restore the purchase before restoring its payments');
+    }
+    await doc.restore();
+    await syncCreditNote(doc);
+    await updatePurchaseSettlement(doc.purchaseId);
+    return doc;
+  }
+
+  return doc.restore();
+};
+
+/**
+ * Permanently delete a trashed item once its retention period has passed
+ * @param {string} entity - Key of TRASH_MODELS
+ * @param {string} id - Document ID
+ */
+export const purgeFromTrash = async (entity, id) => {
+  const doc = await findDeleted(entity, id);
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+
+  if (doc.deletedAt > cutoff) {
+    throw httpError(409, 'RETENTION_ACTIVE', `Items can only be purged ${getRetentionDays()} days after deletion`);
+  }
+
+  if (entity === 'purchases') {
+    await Payment.deleteMany({ purchaseId: doc._id, deletedAt: { $ne: null } });
+  }
+
+  if (entity === 'receipts') {
+    await Payment.deleteMany({ receiptId: doc._id, deletedAt: { $ne: null } });
+  }
+
+  await getModel(entity).deleteOne({ _id: doc._id, deletedAt: { $ne: null } });
+};
+
+/**
+ * Permanently delete every trashed item older than the retention period
+ * @returns {Object} Number of purged documents per entity
+ */
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const purged = {};
+
+  for (const [entity, Model] of Object.entries(TRASH_MODELS)) {
+    const result = await Model.deleteMany({ deletedAt: { $ne: null, $lte: cutoff } });
+    purged[entity] = result.deletedCount;
+  }
+
+  return purged;
+};
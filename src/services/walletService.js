@@ -0,0 +1,202 @@
+import Client from '../models/Client.js';
+import Purchase from '../models/Purchase.js';
+import Payment from '../models/Payment.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import { updatePurchaseSettlement } from './purchaseService.js';
+import { INACTIVE_STATUSES } from './purchaseStatus.js';
+import { BASE_CURRENCY, matchCurrency } from './fxService.js';
+import { httpError } from '../utils/httpError.js';
+
+/**
+ * Move money in or out of a client's wallet and record the movement.
+ * Debits only succeed while the balance covers them.
+ * @param {string} clientId - Client ID
+ * @param {number} amountPaise - Positive to credit, negative to debit
+ * @param {Object} entry - Ledger fields (type, purchaseId, paymentId, method, reference, notes, createdBy)
+ * @returns {Object} Wallet transaction
+ */
+export const postWalletTransaction = async (clientId, amountPaise, entry) => {
+  const filter = { _id: clientId };
+  if (amountPaise < 0) filter.walletBalancePaise = { $gte: -amountPaise };
+
+  const client = await Client.findOneAndUpdate(
+    filter,
+    { $inc: { walletBalancePaise: amountPaise } },
+    { new: true }
+  );
+
+  if (!client) {
+    const exists = await Client.exists({ _id: clientId });
+    if (!exists) {
+      throw httpError(404, 'CLIENT_NOT_FOUND', 'Client not found');
+    }
+    throw httpError(422, 'INSUFFICIENT_WALLET_BALANCE', 'Wallet balance is too low for this transaction');
+  }
+
+  return WalletTransaction.create({
+    ...entry,
+    clientId,
+    amountPaise,
+    balanceAfterPaise: client.walletBalancePaise
+  });
+};
+
+/**
+ * Record a client payment on a purchase funded from the client's wallet.
+ * Call inside a transaction so the debit is undone if the payment cannot be saved.
+ * @param {Object} purchase - Purchase document
+ * @param {Object} data - Payment fields (amountPaise, paidOn, reference, notes)
+ * @param {string} userId - Acting user
+ * @returns {Object} Payment
+ */
+export const payFromWallet = async (purchase, data, userId) => {
+  if ((purchase.amounts.currency || BASE_CURRENCY) !== BASE_CURRENCY) {
+    throw httpError(422, 'CURRENCY_MISMATCH', `The wallet holds INR but ${purchase.orderId} is billed in ${purchase.amounts.currency}`);
+  }
+
+  if (data.amountPaise > purchase.settlement.clientDuePaise) {
+    throw httpError(422, 'PAYMENT_EXCEEDS_DUE',
+      `Wallet payments cannot exceed the client due (${purchase.settlement.clientDuePaise} paise)`);
+  }
+
+  const payment = new Payment({
+    ...data,
+    purchaseId: purchase._id,
+    type: 'CLIENT',
+    method: 'WALLET',
+    createdBy: userId
+  });
+
+  // Take the money first so two payments cannot spend the same balance
+  await postWalletTransaction(purchase.clientId, -payment.amountPaise, {
+    type: 'PAYMENT',
+    purchaseId: purchase._id,
+    paymentId: payment._id,
+    notes: `Payment for ${purchase.orderId}`,
+    createdBy: userId
+  });
+
+  await payment.save();
+  await updatePurchaseSettlement(purchase._id);
+
+  return payment;
+};
+
+/**
+ * Move whatever a client paid beyond the purchase total into their wallet.
+ * The excess is booked as a CLIENT_REFUND paid to the wallet, bringing the due back to zero.
+ * It is not a refund of revenue, so settlement and analytics leave it out of refund totals.
+ * @param {string} purchaseId - Purchase ID
+ * @param {string} userId - Acting user
+ * @returns {Object|null} Wallet transaction, or null when there was no overpayment
+ */
+export const captureOverpayment = async (purchaseId, userId) => {
+  const purchase = await Purchase.findById(purchaseId);
+  if (!purchase || INACTIVE_STATUSES.includes(purchase.status)) return null;
+
+  // The wallet holds INR; foreign currency overpayments stay on the purchase
+  if ((purchase.amounts.currency || BASE_CURRENCY) !== BASE_CURRENCY) return null;
+
+  const excessPaise = -purchase.settlement.clientDuePaise;
+  if (excessPaise <= 0) return null;
+
+  const payment = await Payment.create({
+    purchaseId: purchase._id,
+    type: 'CLIENT_REFUND',
+    method: 'WALLET',
+    amountPaise: excessPaise,
+    paidOn: new Date(),
+    notes: 'Overpayment moved to client wallet',
+    createdBy: userId
+  });
+
+  const transaction = await postWalletTransaction(purchase.clientId, excessPaise, {
+    type: 'OVERPAYMENT',
+    purchaseId: purchase._id,
+    paymentId: payment._id,
+    notes: `Overpayment on ${purchase.orderId}`,
+    createdBy: userId
+  });
+
+  await updatePurchaseSettlement(purchase._id);
+  return transaction;
+};
+
+/**
+ * Capture overpayments on every purchase of a client
+ * @param {string} clientId - Client ID
+ * @param {string} userId - Acting user
+ * @returns {Array} Wallet transactions created
+ */
+export const captureClientOverpayments = async (clientId, userId) => {
+  const purchases = await Purchase.find({
+    clientId,
+    status: { $nin: INACTIVE_STATUSES },
+    'amounts.currency': matchCurrency(BASE_CURRENCY),
+    'settlement.clientDuePaise': { $lt: 0 }
+  }).select('_id');
+
+  const transactions = [];
+  for (const purchase of purchases) {
+    const transaction = await captureOverpayment(purchase._id, userId);
+    if (transaction) transactions.push(transaction);
+  }
+
+  return transactions;
+};
+
+/**
+ * Undo a wallet payment (spent from or captured into the wallet) and move it to the trash
+ * @param {Object} payment - Payment with method WALLET
+ * @param {string} userId - Acting user
+ */
+export const reverseWalletPayment = async (payment, userId) => {
+  const purchase = await Purchase.findById(payment.purchaseId).select('clientId orderId');
+
+  // A spent payment goes back into the wallet; a captured overpayment comes back out
+  const amountPaise = payment.type === 'CLIENT' ? payment.amountPaise : -payment.amountPaise;
+
+  await postWalletTransaction(purchase.clientId, amountPaise, {
+    type: 'REVERSAL',
+    purchaseId: purchase._id,
+    paymentId: payment._id,
+    notes: `Reversed wallet payment on ${purchase.orderId}`,
+    createdBy: userId
+  });
+
+  await payment.softDelete(userId);
+  await updatePurchaseSettlement(payment.purchaseId);
+};
+
+/**
+ * Get a client's wallet balance and transaction history, newest first
+ * @param {string} clientId - Client ID
+ * @param {Object} options - { page, limit }
+ * @returns {Object} { balancePaise, transactions, pagination }
+ */
+export const getWallet = async (clientId, { page = 1, limit = 20 } = {}) => {
+  const client = await Client.findById(clientId).select('walletBalancePaise');
+  if (!client) {
+    throw httpError(404, 'CLIENT_NOT_FOUND', 'Client not found');
+  }
+
+  const transactions = await WalletTransaction.find({ clientId })
+    .populate('purchaseId', 'orderId')
+    .populate('createdBy', 'name')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await WalletTransaction.countDocuments({ clientId });
+
+  return {
+    balancePaise: client.walletBalancePaise,
+    transactions,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
@@ -1,60 +1,163 @@
 import crypto from 'crypto';
 
-const algorithm = 'aes-256-cbc';
+const algorithm = 'aes-256-gcm';
+const VERSION = 'v2';
+const IV_LENGTH = 12; // recommended nonce size for GCM
+const AUTH_TAG_LENGTH = 16; // full-length GCM tag; shorter tags would weaken authentication
 
-// Get encryption key from environment
-const getKey = () => {
-  const key = process.env.DATA_KEY;
-  if (!key) {
-    throw new Error('DATA_KEY environment variable is required for encryption');
+/**
+ * Load encryption keys from the environment.
+ * DATA_KEYS holds comma separated `keyId:hexKey` pairs and DATA_KEY_ID names the key used
+ * for new values (defaults to the last one listed). DATA_KEY is always available as key
+ * `default` (unless DATA_KEYS defines one), so values written before rotation stay readable.
+ * It only encrypts new values when DATA_KEYS lists no keys or DATA_KEY_ID is `default`.
+ * @returns {Object} { keys: Map<keyId, Buffer>, currentKeyId }
+ */
+const getKeyring = () => {
+  const keys = new Map();
+
+  (process.env.DATA_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [keyId, hex] = entry.split(':');
+      if (!keyId || !hex) {
+        throw new Error('DATA_KEYS entries must look like keyId:hexKey');
+      }
+      keys.set(keyId, Buffer.from(hex, 'hex'));
+    });
+
+  const listedKeyIds = [...keys.keys()];
+
+  if (!keys.has('default') && process.env.DATA_KEY) {
+    keys.set('default', Buffer.from(process.env.DATA_KEY, 'hex'));
+  }
+
+  if (keys.size === 0) {
+    throw new Error('DATA_KEYS or DATA_KEY environment variable is required for encryption');
+  }
+
+  keys.forEach((key, keyId) => {
+    if (key.length !== 32) {
+      throw new Error(`Encryption key ${keyId} must be 32 bytes (64 hex characters)`);
+    }
+  });
+
+  const currentKeyId = process.env.DATA_KEY_ID || listedKeyIds.pop() || 'default';
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`DATA_KEY_ID ${currentKeyId} is not one of the configured keys`);
   }
-  return Buffer.from(key, 'hex');
+
+  return { keys, currentKeyId };
 };
 
 /**
- * Encrypt sensitive data using AES-256-CBC
+ * Get the ID of the key new values are encrypted with
+ * @returns {string} Current key ID
+ */
+export const getCurrentKeyId = () => getKeyring().currentKeyId;
+
+/**
+ * Encrypt sensitive data using AES-256-GCM with the current key
  * @param {string} text - Text to encrypt
- * @returns {string} - Encrypted data as hex string with format: iv:encrypted
+ * @returns {string} - Encrypted data in format: v2:keyId:iv:tag:encrypted (hex parts)
  */
 export const encrypt = (text) => {
   try {
-    const key = getKey();
-    const iv = crypto.randomBytes(16);
-    
-    const cipher = crypto.createCipher(algorithm, key);
-    
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return `${iv.toString('hex')}:${encrypted}`;
+    const { keys, currentKeyId } = getKeyring();
+    const iv = crypto.randomBytes(IV_LENGTH);
+
+    const cipher = crypto.createCipheriv(algorithm, keys.get(currentKeyId), iv, { authTagLength: AUTH_TAG_LENGTH });
+    // Bind the version and key ID to the ciphertext
+    cipher.setAAD(Buffer.from(`${VERSION}:${currentKeyId}`));
+
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [VERSION, currentKeyId, iv.toString('hex'), tag.toString('hex'), encrypted.toString('hex')].join(':');
   } catch (error) {
     throw new Error(`Encryption failed: ${error.message}`);
   }
 };
 
+// OpenSSL EVP_BytesToKey (MD5, one iteration) as used by the removed crypto.createDecipher
+const legacyKeyAndIv = (password) => {
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  return { key: derived.subarray(0, 32), iv: derived.subarray(32, 48) };
+};
+
 /**
- * Decrypt sensitive data using AES-256-CBC
- * @param {string} encryptedData - Encrypted data in format: iv:encrypted
+ * Decrypt values written before versioning (iv:encrypted, AES-256-CBC via createCipher).
+ * The stored IV was never used; the key and IV were derived from DATA_LEGACY_KEY (or DATA_KEY).
+ */
+const decryptLegacy = (encryptedData) => {
+  const [, encrypted] = encryptedData.split(':');
+  const legacyKey = process.env.DATA_LEGACY_KEY || process.env.DATA_KEY;
+
+  if (!legacyKey) {
+    throw new Error('DATA_LEGACY_KEY or DATA_KEY is required to decrypt legacy values');
+  }
+
+  const { key, iv } = legacyKeyAndIv(Buffer.from(legacyKey, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+
+  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
+};
+
+/**
+ * Decrypt sensitive data written by encrypt(), or by the legacy CBC implementation
+ * @param {string} encryptedData - Encrypted data in format: v2:keyId:iv:tag:encrypted or legacy iv:encrypted
  * @returns {string} - Decrypted text
  */
 export const decrypt = (encryptedData) => {
   try {
-    const key = getKey();
     const parts = encryptedData.split(':');
-    
-    if (parts.length !== 2) {
+
+    if (parts.length === 2) {
+      return decryptLegacy(encryptedData);
+    }
+
+    if (parts.length !== 5 || parts[0] !== VERSION) {
       throw new Error('Invalid encrypted data format');
     }
-    
-    const [ivHex, encrypted] = parts;
-    
-    const decipher = crypto.createDecipher(algorithm, key);
-    
+
+    const [version, keyId, ivHex, tagHex, encrypted] = parts;
+    const { keys } = getKeyring();
+    const key = keys.get(keyId);
+
+    if (!key) {
+      throw new Error(`Unknown encryption key: ${keyId}`);
+    }
+
+    const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(ivHex, 'hex'), { authTagLength: AUTH_TAG_LENGTH });
+    decipher.setAAD(Buffer.from(`${version}:${keyId}`));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+
     let decrypted = decipher.update(encrypted, 'hex', 'utf8');
     decrypted += decipher.final('utf8');
-    
+
     return decrypted;
   } catch (error) {
     throw new Error(`Decryption failed: ${error.message}`);
   }
 };
+
+/**
+ * Check whether a stored value should be re-encrypted with the current key
+ * @param {string} encryptedData - Stored encrypted value
+ * @returns {boolean}
+ */
+export const needsReencryption = (encryptedData) => {
+  return Boolean(encryptedData) && !encryptedData.startsWith(`${VERSION}:${getCurrentKeyId()}:`);
+};
@@ -0,0 +1,99 @@
+// Split CSV text into rows, each with the 1-based line it starts on; blank lines are dropped
+const tokenize = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Strip a UTF-8 BOM left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // Newlines inside quoted fields still count towards the line number
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+
+  // Drop blank lines
+  return rows.filter(({ values }) => values.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of raw field values
+ */
+export const parseCsvRows = (text) => tokenize(text).map(({ values }) => values);
+
+/**
+ * Parse CSV text into objects keyed by the header row, with the line each row starts on
+ * so errors can point at the right place even when blank lines were skipped
+ * @param {string} text - CSV content with a header row
+ * @param {Object} options - { skipLines: preamble lines before the header (default 0) }
+ * @returns {Object[]} One { line, record } per data row
+ */
+export const parseCsvWithLines = (text, { skipLines = 0 } = {}) => {
+  const [header = { values: [] }, ...rows] = tokenize(text).filter(({ line }) => line > skipLines);
+  const keys = header.values.map(key => key.trim());
+
+  return rows.map(({ line, values }) => ({
+    line,
+    record: keys.reduce((record, key, index) => {
+      record[key] = (values[index] ?? '').trim();
+      return record;
+    }, {})
+  }));
+};
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - CSV content with a header row
+ * @returns {Object[]} One object per data row
+ */
+export const parseCsv = (text) => parseCsvWithLines(text).map(({ record }) => record);
+
+/**
+ * Format one CSV line, quoting fields that contain commas, quotes or newlines
+ * @param {Array} values - Field values
+ * @returns {string} CSV line ending in CRLF
+ */
+export const toCsvLine = (values) => {
+  return values.map((value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+};
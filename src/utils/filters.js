@@ -0,0 +1,63 @@
+/**
+ * Build a date range condition from from/to query params
+ * @param {string} from - ISO date, inclusive
+ * @param {string} to - ISO date, inclusive
+ * @returns {Object|undefined} Mongo condition, or undefined when no range is given
+ */
+export const dateRange = (from, to) => {
+  if (!from && !to) return undefined;
+
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return range;
+};
+
+/**
+ * Build the purchase filter shared by the purchase list and exports
+ * @param {Object} params - { from, to, status, clientId, vendorId, productId, search }
+ * @returns {Object} Mongo filter
+ */
+export const buildPurchaseFilter = ({ from, to, status, clientId, vendorId, productId, search } = {}) => {
+  let query = {};
+
+  // Date range filter
+  const purchaseDate = dateRange(from, to);
+  if (purchaseDate) query.purchaseDate = purchaseDate;
+
+  // Status filter
+  if (status) query.status = status;
+
+  // Entity filters
+  if (clientId) query.clientId = clientId;
+  if (vendorId) query.vendorId = vendorId;
+  if (productId) query.productId = productId;
+
+  // Text search on orderId
+  if (search) {
+    query.orderId = { $regex: search, $options: 'i' };
+  }
+
+  return query;
+};
+
+/**
+ * Build the payment filter shared by the payment list and exports
+ * @param {Object} params - { from, to, purchaseId, type }
+ * @returns {Object} Mongo filter
+ */
+export const buildPaymentFilter = ({ from, to, purchaseId, type } = {}) => {
+  let query = {};
+
+  // Filter by purchase
+  if (purchaseId) query.purchaseId = purchaseId;
+
+  // Filter by type
+  if (type) query.type = type;
+
+  // Date range filter
+  const paidOn = dateRange(from, to);
+  if (paidOn) query.paidOn = paidOn;
+
+  return query;
+};
@@ -0,0 +1,13 @@
+/**
+ * Create an error carrying an HTTP status and error code for the error handler
+ * @param {number} statusCode - HTTP status code
+ * @param {string} code - Machine readable error code
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with statusCode and code set
+ */
+export const httpError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
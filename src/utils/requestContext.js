@@ -0,0 +1,25 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context (requestId, ip, userId) available to anything it calls
+ * @param {Object} context - Initial context values
+ * @param {Function} fn - Function to run
+ */
+export const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the current request context, if any
+ * @returns {Object|undefined} Context for the current request
+ */
+export const getContext = () => storage.getStore();
+
+/**
+ * Attach the authenticated user to the current request context
+ * @param {string} userId - Acting user ID
+ */
+export const setContextUser = (userId) => {
+  const context = storage.getStore();
+  if (context) context.userId = userId;
+};
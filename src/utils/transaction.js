@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Queries run inside connection.transaction() pick up its session automatically
+mongoose.set('transactionAsyncLocalStorage', true);
+
+/**
+ * Run a unit of work in a MongoDB transaction, retrying on transient errors.
+ * Every query inside joins the transaction, so services need no session argument.
+ * Transactions need a replica set; MONGODB_TRANSACTIONS=false runs the work
+ * without one for local standalone servers.
+ * @param {Function} fn - Async work; may run more than once when retried
+ * @returns {*} Result of fn
+ */
+export const withTransaction = (fn) => {
+  if (process.env.MONGODB_TRANSACTIONS === 'false') {
+    return fn();
+  }
+  return mongoose.connection.transaction(fn);
+};
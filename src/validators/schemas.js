@@ -1,5 +1,12 @@
 import { z } from 'zod';
 
+// GST identifiers: 15 character GSTIN starting with the 2 digit state code
+const GstinSchema = z.string().trim().regex(/^[0-9]{2}[A-Z0-9]{13}$/i, 'GSTIN must be 15 characters starting with the state code');
+const StateCodeSchema = z.string().regex(/^[0-9]{2}$/, 'State code must be 2 digits, e.g. 27');
+
+// ISO 4217 code such as INR or USD
+const CurrencySchema = z.string().trim().toUpperCase().regex(/^[A-Z]{3}$/, 'Currency must be a 3 letter ISO code');
+
 // Auth schemas
 export const LoginSchema = z.object({
   email: z.string().email('Invalid email format'),
@@ -33,6 +40,8 @@ export const CreateClientSchema = z.object({
   phone: z.string().optional(),
   whatsapp: z.string().optional(),
   email: z.string().email().optional().or(z.literal('')),
+  gstin: GstinSchema.optional(),
+  placeOfSupply: StateCodeSchema.optional(),
   tags: z.array(z.string()).optional(),
   notes: z.string().optional()
 });
@@ -46,6 +55,7 @@ export const CreateVendorSchema = z.object({
   phone: z.string().optional(),
   whatsapp: z.string().optional(),
   email: z.string().email().optional().or(z.literal('')),
+  gstin: GstinSchema.optional(),
   notes: z.string().optional()
 });
 
@@ -62,6 +72,10 @@ export const CreateProductSchema = z.object({
   defaultValidityMonths: z.number().int().positive().optional(),
   defaultWarrantyMonths: z.number().int().nonnegative().optional(),
   activationMethods: z.array(z.enum(['LOGIN_CREDENTIALS', 'COUPON_CODE', 'EMAIL_INVITE'])).min(1),
+  tax: z.object({
+    hsnSac: z.string().regex(/^[0-9]{4,8}$/, 'HSN/SAC code must be 4 to 8 digits').optional(),
+    gstRatePercent: z.number().refine(rate => [0, 0.25, 3, 5, 12, 18, 28].includes(rate), 'GST rate must be 0, 0.25, 3, 5, 12, 18 or 28').optional()
+  }).optional(),
   notes: z.string().optional()
 });
 
@@ -71,24 +85,42 @@ export const UpdateProductSchema = CreateProductSchema.partial();
 export const CreateCouponSchema = z.object({
   code: z.string().min(3, 'Code must be at least 3 characters').trim().toUpperCase(),
   productId: z.string().optional(),
+  categories: z.array(z.string().trim().min(1)).optional(),
   discountType: z.enum(['PERCENT', 'FLAT']).optional(),
   discountValuePaise: z.number().int().nonnegative().optional(),
+  minOrderPaise: z.number().int().nonnegative().optional(),
+  maxDiscountPaise: z.number().int().nonnegative().optional(),
+  stacking: z.enum(['EXCLUSIVE', 'STACKABLE']).optional(),
   maxUses: z.number().int().positive().optional(),
   validFrom: z.string().datetime().optional(),
   validTo: z.string().datetime().optional(),
+  maxUsesPerClient: z.number().int().positive().optional(),
+  firstPurchaseOnly: z.boolean().optional(),
+  eligibleTags: z.array(z.string().trim().min(1)).optional(),
   isActive: z.boolean().default(true)
 });
 
 export const UpdateCouponSchema = CreateCouponSchema.partial();
 
+// Shared settings of generated codes; codes are single use unless maxUses says otherwise
+export const CreateCouponCampaignSchema = CreateCouponSchema.omit({ code: true, isActive: true }).extend({
+  name: z.string().trim().min(3, 'Name must be at least 3 characters'),
+  prefix: z.string().trim().toUpperCase().regex(/^[A-Z0-9-]{0,12}$/, 'Prefix may have up to 12 letters, digits or dashes').optional(),
+  count: z.number().int().positive().max(5000),
+  codeLength: z.number().int().min(4).max(16).optional(),
+  alphabet: z.string().regex(/^[A-Za-z0-9]{2,}$/, 'Alphabet must have at least 2 letters or digits').optional()
+});
+
 export const ValidateCouponSchema = z.object({
   code: z.string().min(3).trim(),
-  productId: z.string().optional()
+  productId: z.string().optional(),
+  clientId: z.string().optional(), // needed for coupons with client rules
+  amountPaise: z.number().int().nonnegative().optional() // order amount to compute the discount for
 });
 
 // Purchase schemas
 export const CreatePurchaseSchema = z.object({
-  orderId: z.string().min(3, 'Order ID must be at least 3 characters').trim(),
+  orderId: z.string().min(3, 'Order ID must be at least 3 characters').trim().optional(), // generated when omitted
   sourcePlatform: z.enum(['WHATSAPP', 'INSTAGRAM', 'WEBSITE', 'OTHER']).default('WHATSAPP'),
   sourceRef: z.string().optional(),
   clientId: z.string().min(1, 'Client ID is required'),
@@ -120,24 +152,82 @@ export const CreatePurchaseSchema = z.object({
     discountPaise: z.number().int().nonnegative().default(0),
     taxesPaise: z.number().int().nonnegative().default(0),
     feesPaise: z.number().int().nonnegative().default(0),
-    currency: z.literal('INR').default('INR')
+    currency: CurrencySchema.default('INR'), // client side; vendor total uses vendorCurrency
+    vendorCurrency: CurrencySchema.default('INR')
   }),
+  // Discount coupons; clientPayTotalPaise is then the price before the discount
+  couponCode: z.string().trim().min(3).optional(),
+  couponCodes: z.array(z.string().trim().min(3)).min(1).max(5).optional(), // several codes, applied in order
   people: z.object({
     vendorContactName: z.string().optional(),
     vendorContactPhone: z.string().optional()
   }).optional(),
-  status: z.enum(['OPEN', 'COMPLETED', 'CANCELLED']).default('OPEN')
+  // Tax amounts are computed; only the vendor's invoice reference is entered
+  vendorInvoice: z.object({
+    number: z.string().trim().optional(),
+    date: z.string().datetime().optional()
+  }).optional()
 });
 
 export const UpdatePurchaseSchema = CreatePurchaseSchema.partial();
 
+export const PurchaseTransitionSchema = z.object({
+  reason: z.string().trim().min(3, 'Reason must be at least 3 characters')
+});
+
+export const RevealCredentialsSchema = z.object({
+  reason: z.string().trim().min(3, 'Reason must be at least 3 characters'),
+  version: z.number().int().nonnegative().optional()
+});
+
+export const RotateCredentialsSchema = z.object({
+  username: z.string().optional(),
+  password: z.string().min(1, 'Password is required'),
+  reason: z.string().trim().min(3, 'Reason must be at least 3 characters')
+});
+
+export const RenewPurchaseSchema = z.object({
+  orderId: z.string().min(3, 'Order ID must be at least 3 characters').trim().optional(),
+  sourcePlatform: z.enum(['WHATSAPP', 'INSTAGRAM', 'WEBSITE', 'OTHER']).optional(),
+  sourceRef: z.string().optional(),
+  vendorId: z.string().optional(),
+  purchaseDate: z.string().datetime().optional(),
+  durationMonths: z.number().int().positive().optional(),
+  activation: z.object({
+    credentials: z.object({
+      username: z.string().optional(),
+      password: z.string().optional()
+    }).optional()
+  }).optional(),
+  amounts: z.object({
+    clientPayTotalPaise: z.number().int().nonnegative().optional(),
+    vendorPayTotalPaise: z.number().int().nonnegative().optional(),
+    discountPaise: z.number().int().nonnegative().optional(),
+    taxesPaise: z.number().int().nonnegative().optional(),
+    feesPaise: z.number().int().nonnegative().optional()
+  }).optional()
+});
+
+// Either explicit installments or an even split of the client total
+export const PaymentScheduleSchema = z.object({
+  installments: z.array(z.object({
+    dueDate: z.string().datetime(),
+    amountPaise: z.number().int().positive()
+  })).min(1).max(60).optional(),
+  count: z.number().int().min(2).max(60).optional(),
+  firstDueDate: z.string().datetime().optional(),
+  intervalMonths: z.number().int().positive().max(12).default(1)
+}).refine(data => data.installments || (data.count && data.firstDueDate), {
+  message: 'Provide installments, or count and firstDueDate to split the total evenly'
+});
+
 // Payment schemas
 export const CreatePaymentSchema = z.object({
   purchaseId: z.string().min(1, 'Purchase ID is required'),
-  type: z.enum(['CLIENT', 'VENDOR']),
+  type: z.enum(['CLIENT', 'VENDOR', 'CLIENT_REFUND', 'VENDOR_REFUND']),
   amountPaise: z.number().int().positive('Amount must be positive'),
   paidOn: z.string().datetime(),
-  method: z.enum(['UPI', 'CARD', 'BANK', 'CASH', 'OTHER']).optional(),
+  method: z.enum(['UPI', 'CARD', 'BANK', 'CASH', 'WALLET', 'OTHER']).optional(),
   reference: z.string().optional(),
   screenshotUrl: z.string().url().optional().or(z.literal('')),
   notes: z.string().optional()
@@ -145,6 +235,124 @@ export const CreatePaymentSchema = z.object({
 
 export const UpdatePaymentSchema = CreatePaymentSchema.partial();
 
+// Wallet schemas
+export const WalletAdvanceSchema = z.object({
+  amountPaise: z.number().int().positive('Amount must be positive'),
+  method: z.enum(['UPI', 'CARD', 'BANK', 'CASH', 'OTHER']).optional(),
+  reference: z.string().optional(),
+  notes: z.string().optional()
+});
+
+export const WalletAdjustmentSchema = z.object({
+  amountPaise: z.number().int().refine(val => val !== 0, 'Amount cannot be zero'),
+  notes: z.string().min(1, 'A reason is required for adjustments')
+});
+
+// Payout batch schemas
+export const CreatePayoutBatchSchema = z.object({
+  vendorId: z.string().min(1, 'Vendor ID is required'),
+  currency: CurrencySchema.optional(),
+  from: z.string().datetime().optional(),
+  to: z.string().datetime().optional(),
+  notes: z.string().optional()
+});
+
+export const UpdatePayoutBatchSchema = z.object({
+  lines: z.array(z.object({
+    purchaseId: z.string().min(1, 'Purchase ID is required'),
+    amountPaise: z.number().int().min(0)
+  })).optional(),
+  method: z.enum(['UPI', 'CARD', 'BANK', 'CASH', 'OTHER']).optional(),
+  reference: z.string().optional(),
+  notes: z.string().optional()
+});
+
+export const ConfirmPayoutBatchSchema = z.object({
+  paidOn: z.string().datetime().optional(),
+  method: z.enum(['UPI', 'CARD', 'BANK', 'CASH', 'OTHER']).optional(),
+  reference: z.string().optional()
+});
+
+// Reconciliation schemas
+export const StatementProfileSchema = z.object({
+  name: z.string().min(1, 'Name is required'),
+  skipRows: z.number().int().min(0).optional(),
+  dateFormat: z.enum(['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD']).optional(),
+  columns: z.object({
+    date: z.string().min(1, 'Date column is required'),
+    amount: z.string().optional(),
+    credit: z.string().optional(),
+    debit: z.string().optional(),
+    reference: z.string().optional(),
+    description: z.string().optional()
+  }).refine(cols => cols.amount || (cols.credit && cols.debit), 'Map either amount or both credit and debit'),
+  defaultMethod: z.enum(['UPI', 'CARD', 'BANK', 'CASH', 'OTHER']).optional()
+});
+
+export const ConfirmStatementLineSchema = z.object({
+  paymentId: z.string().optional()
+});
+
+export const StatementLinePaymentSchema = z.object({
+  purchaseId: z.string().min(1, 'Purchase ID is required'),
+  type: z.enum(['CLIENT', 'VENDOR', 'CLIENT_REFUND', 'VENDOR_REFUND']),
+  notes: z.string().optional()
+});
+
+// Receipt schemas
+const AllocationLineSchema = z.object({
+  purchaseId: z.string().min(1, 'Purchase ID is required'),
+  amountPaise: z.number().int().positive('Amount must be positive')
+});
+
+export const CreateReceiptSchema = z.object({
+  clientId: z.string().min(1, 'Client ID is required'),
+  amountPaise: z.number().int().positive('Amount must be positive'),
+  receivedOn: z.string().datetime(),
+  method: z.enum(['UPI', 'CARD', 'BANK', 'CASH', 'OTHER']).optional(),
+  reference: z.string().optional(),
+  screenshotUrl: z.string().url().optional().or(z.literal('')),
+  notes: z.string().optional(),
+  allocations: z.array(AllocationLineSchema).optional(),
+  autoAllocate: z.boolean().default(true)
+});
+
+export const UpdateReceiptSchema = CreateReceiptSchema
+  .omit({ clientId: true, allocations: true, autoAllocate: true })
+  .partial();
+
+export const AllocateReceiptSchema = z.object({
+  allocations: z.array(AllocationLineSchema).min(1).optional()
+});
+
+// FX rate schemas
+export const FxRateSchema = z.object({
+  currency: CurrencySchema.refine(code => code !== 'INR', 'INR is the reporting currency'),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}/, 'Date must start with YYYY-MM-DD'),
+  rate: z.number().positive('Rate must be positive')
+});
+
+// Business profile printed on invoices and receipts
+export const BusinessProfileSchema = z.object({
+  name: z.string().trim().min(1, 'Business name is required'),
+  legalName: z.string().trim().optional(),
+  address: z.object({
+    line1: z.string().optional(),
+    line2: z.string().optional(),
+    city: z.string().optional(),
+    state: z.string().optional(),
+    postalCode: z.string().optional(),
+    country: z.string().optional()
+  }).optional(),
+  gstin: GstinSchema.optional(),
+  stateCode: StateCodeSchema.optional(),
+  phone: z.string().optional(),
+  email: z.string().email().optional(),
+  website: z.string().optional(),
+  invoicePrefix: z.string().trim().regex(/^[A-Z0-9]{1,10}$/i, 'Invoice prefix must be 1-10 letters or digits').optional(),
+  invoiceFooter: z.string().optional()
+}).partial();
+
 // Query schemas
 export const PaginationSchema = z.object({
   page: z.string().transform(val => parseInt(val) || 1).pipe(z.number().int().positive()),
@@ -159,7 +367,7 @@ export const DateRangeSchema = z.object({
 });
 
 export const PurchaseQuerySchema = PaginationSchema.merge(DateRangeSchema).extend({
-  status: z.enum(['OPEN', 'COMPLETED', 'CANCELLED']).optional(),
+  status: z.enum(['OPEN', 'ACTIVATED', 'COMPLETED', 'CANCELLED', 'REFUND_REQUESTED', 'REFUNDED']).optional(),
   clientId: z.string().optional(),
   vendorId: z.string().optional(),
   productId: z.string().optional(),
@@ -168,7 +376,27 @@ export const PurchaseQuerySchema = PaginationSchema.merge(DateRangeSchema).exten
 
 export const PaymentQuerySchema = PaginationSchema.merge(DateRangeSchema).extend({
   purchaseId: z.string().optional(),
-  type: z.enum(['CLIENT', 'VENDOR']).optional()
+  type: z.enum(['CLIENT', 'VENDOR', 'CLIENT_REFUND', 'VENDOR_REFUND']).optional()
+});
+
+export const ExportQuerySchema = DateRangeSchema.extend({
+  format: z.enum(['csv', 'xlsx']).default('csv'),
+  status: z.enum(['OPEN', 'ACTIVATED', 'COMPLETED', 'CANCELLED', 'REFUND_REQUESTED', 'REFUNDED']).optional(),
+  clientId: z.string().optional(),
+  vendorId: z.string().optional(),
+  productId: z.string().optional(),
+  purchaseId: z.string().optional(),
+  type: z.enum(['CLIENT', 'VENDOR', 'CLIENT_REFUND', 'VENDOR_REFUND']).optional(),
+  side: z.enum(['client', 'vendor']).optional(),
+  search: z.string().optional()
+});
+
+export const AuditQuerySchema = PaginationSchema.merge(DateRangeSchema).extend({
+  entity: z.enum(['Purchase', 'Payment', 'Coupon', 'Client', 'Vendor', 'Product']).optional(),
+  entityId: z.string().optional(),
+  userId: z.string().optional(),
+  action: z.enum(['CREATE', 'UPDATE', 'DELETE']).optional(),
+  requestId: z.string().optional()
 });
 
 export const AnalyticsQuerySchema = DateRangeSchema.extend({